@@ -0,0 +1,331 @@
+// Route weather pipeline for Node: geocoding and routing through Mapbox, forecasts from Open-Meteo,
+// with the sampling and alert rules shared with the page (public/route-weather-core.js).
+// Upstream URLs come from the environment so everything can run against local stand-ins.
+const {
+    TRAVEL_MODES,
+    VEHICLE_CROSSWIND_LIMITS,
+    MAX_DIRECTIONS_WAYPOINTS,
+    getDirectionsProfile,
+    getAlertSettings,
+    ALERT_CATEGORIZERS,
+    sampleRoute,
+    buildStopDwells,
+    buildWeatherRequestPoints,
+    combineRouteWeather,
+    buildWeatherAlerts,
+    getWeatherDescription
+} = require('../public/route-weather-core');
+
+// Open-Meteo settings for the weather proxy
+const OPEN_METEO_URL = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast';
+const HOURLY_VARIABLES = [
+    'temperature_2m',
+    'apparent_temperature',
+    'precipitation',
+    'precipitation_probability',
+    'snowfall',
+    'weathercode',
+    'windspeed_10m',
+    'windgusts_10m',
+    'winddirection_10m',
+    'visibility'
+];
+const MAX_COORDS_PER_REQUEST = 50; // Open-Meteo accepts comma-separated coordinate lists
+const MAX_CONCURRENT_BATCHES = 4; // Long routes are fetched a few batches at a time, not all at once
+const RECENT_PRECIPITATION_HOURS = 6; // Look-back window for wet roads that may freeze
+const WEATHER_CACHE_TTL_MS = (parseInt(process.env.WEATHER_CACHE_TTL_MINUTES, 10) || 30) * 60 * 1000;
+
+// Short-lived cache of hourly values keyed by rounded lat/lon and forecast hour
+const weatherCache = new Map();
+
+// Mapbox settings for headless route forecasts (the page calls Mapbox directly with its own key)
+const MAPBOX_API_KEY = process.env.MAPBOX_API_KEY;
+const MAPBOX_GEOCODING_URL = process.env.MAPBOX_GEOCODING_URL || 'https://api.mapbox.com/geocoding/v5/mapbox.places';
+const MAPBOX_DIRECTIONS_URL = process.env.MAPBOX_DIRECTIONS_URL || 'https://api.mapbox.com/directions/v5/mapbox';
+
+// Round coordinates to ~1km so nearby lookups share cache entries
+function roundCoord(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Start of the UTC hour containing the given time, in unix seconds
+function forecastHour(time) {
+    return Math.floor(new Date(time).getTime() / 3600000) * 3600;
+}
+
+function weatherCacheKey(lat, lon, hour) {
+    return `${lat},${lon}@${hour}`;
+}
+
+function getCachedWeather(key) {
+    const entry = weatherCache.get(key);
+    if (!entry) return null;
+
+    if (entry.expires < Date.now()) {
+        weatherCache.delete(key);
+        return null;
+    }
+
+    return entry.value;
+}
+
+// Drop expired entries so the cache doesn't grow forever
+function pruneWeatherCache() {
+    const now = Date.now();
+    for (const [key, entry] of weatherCache) {
+        if (entry.expires < now) {
+            weatherCache.delete(key);
+        }
+    }
+}
+
+// Fetch one batch of locations from Open-Meteo and cache every hour returned
+// Values stay in Open-Meteo's metric defaults (°C, mm, cm of snow, km/h, m); the client converts for display
+async function fetchWeatherBatch(locations) {
+    const hours = locations.flatMap(location => location.hours);
+    // Start early enough to know how much fell in the hours before the first requested one
+    const firstHour = Math.min(...hours) - RECENT_PRECIPITATION_HOURS * 3600;
+    const startDate = new Date(firstHour * 1000).toISOString().split('T')[0];
+    const endDate = new Date(Math.max(...hours) * 1000).toISOString().split('T')[0];
+
+    const params = new URLSearchParams({
+        latitude: locations.map(location => location.lat).join(','),
+        longitude: locations.map(location => location.lon).join(','),
+        hourly: HOURLY_VARIABLES.join(','),
+        timeformat: 'unixtime',
+        start_date: startDate,
+        end_date: endDate
+    });
+
+    const response = await fetch(`${OPEN_METEO_URL}?${params}`);
+    if (!response.ok) throw new Error(`Open-Meteo request failed with status ${response.status}`);
+
+    // A single location comes back as an object, several as an array
+    const data = await response.json();
+    const results = Array.isArray(data) ? data : [data];
+    const expires = Date.now() + WEATHER_CACHE_TTL_MS;
+
+    results.forEach((result, i) => {
+        const { lat, lon } = locations[i];
+        const hourly = result.hourly;
+
+        hourly.time.forEach((hour, h) => {
+            // The first hours lack a full look-back window; requested hours always come later (see firstHour)
+            if (h < RECENT_PRECIPITATION_HOURS) return;
+
+            const recentPrecipitation = hourly.precipitation
+                .slice(h - RECENT_PRECIPITATION_HOURS, h)
+                .reduce((sum, value) => sum + (value || 0), 0);
+
+            weatherCache.set(weatherCacheKey(lat, lon, hour), {
+                expires,
+                value: {
+                    temperature: hourly.temperature_2m[h],
+                    apparentTemperature: hourly.apparent_temperature[h],
+                    precipitation: hourly.precipitation[h],
+                    recentPrecipitation,
+                    precipitationProbability: hourly.precipitation_probability[h],
+                    snowfall: hourly.snowfall[h],
+                    weatherCode: hourly.weathercode[h],
+                    windSpeed: hourly.windspeed_10m[h],
+                    windGusts: hourly.windgusts_10m[h],
+                    windDirection: hourly.winddirection_10m[h],
+                    visibility: hourly.visibility[h],
+                    elevation: result.elevation
+                }
+            });
+        });
+    });
+}
+
+// Look up hourly weather for a list of { lat, lon, time } points, using the cache where possible
+async function getWeatherForPoints(points) {
+    pruneWeatherCache();
+
+    const lookups = points.map(point => {
+        const lat = roundCoord(point.lat);
+        const lon = roundCoord(point.lon);
+        const hour = forecastHour(point.time);
+        return { lat, lon, hour, key: weatherCacheKey(lat, lon, hour) };
+    });
+
+    // Group cache misses by location so each one is only requested once
+    const missing = new Map();
+    lookups.forEach(lookup => {
+        if (getCachedWeather(lookup.key)) return;
+
+        const locationKey = `${lookup.lat},${lookup.lon}`;
+        if (!missing.has(locationKey)) {
+            missing.set(locationKey, { lat: lookup.lat, lon: lookup.lon, hours: [] });
+        }
+        missing.get(locationKey).hours.push(lookup.hour);
+    });
+
+    const locations = [...missing.values()];
+    const batches = [];
+    for (let i = 0; i < locations.length; i += MAX_COORDS_PER_REQUEST) {
+        batches.push(locations.slice(i, i + MAX_COORDS_PER_REQUEST));
+    }
+
+    // A few workers take batches off the list until it is empty
+    let nextBatch = 0;
+    const fetchRemainingBatches = async () => {
+        while (nextBatch < batches.length) {
+            await fetchWeatherBatch(batches[nextBatch++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_BATCHES, batches.length) }, fetchRemainingBatches));
+
+    return lookups.map(lookup => {
+        const weather = getCachedWeather(lookup.key);
+        if (!weather) throw new Error('No forecast available for the requested time');
+        return weather;
+    });
+}
+
+// Errors carry the HTTP status the endpoint should answer with
+function requestError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Geocode a location string to [longitude, latitude]
+async function geocodeLocation(location) {
+    if (!MAPBOX_API_KEY) throw requestError('MAPBOX_API_KEY is not set', 503);
+
+    const response = await fetch(`${MAPBOX_GEOCODING_URL}/${encodeURIComponent(location)}.json?access_token=${MAPBOX_API_KEY}`);
+    if (!response.ok) throw requestError(`Geocoding failed with status ${response.status}`, 502);
+
+    const data = await response.json();
+    if (!data.features || data.features.length === 0) {
+        throw requestError(`Could not find location: ${location}`, 400);
+    }
+
+    return data.features[0].center;
+}
+
+// Recommended route through the waypoints from Mapbox Directions
+async function getRoute(waypoints, profile) {
+    const coordinates = waypoints.map(coords => `${coords[0]},${coords[1]}`).join(';');
+    const params = new URLSearchParams({
+        geometries: 'geojson',
+        overview: 'full',
+        annotations: 'duration,distance',
+        access_token: MAPBOX_API_KEY
+    });
+
+    const response = await fetch(`${MAPBOX_DIRECTIONS_URL}/${profile}/${coordinates}?${params}`);
+    if (!response.ok) throw requestError(`Directions request failed with status ${response.status}`, 502);
+
+    const data = await response.json();
+    if (!data.routes || data.routes.length === 0) {
+        throw requestError('No route found', 400);
+    }
+
+    return data.routes[0];
+}
+
+// Pick the forecast options from a request body, or return an error message
+function parseForecastRequest(body) {
+    if (!body || typeof body !== 'object') return { error: 'Expected { start, end, departure }' };
+
+    const { start, end, departure = new Date().toISOString(), stops = [], travelMode = 'driving', vehicleType = 'car' } = body;
+
+    if (![start, end].every(value => typeof value === 'string' && value.trim())) {
+        return { error: 'start and end are required' };
+    }
+    if (isNaN(new Date(departure).getTime())) {
+        return { error: 'departure must be a date and time' };
+    }
+    if (!Array.isArray(stops) || !stops.every(stop => stop && typeof stop.location === 'string' && stop.location.trim())) {
+        return { error: 'stops must be a list of { location, dwellMinutes }' };
+    }
+    // Checked before geocoding so an oversized trip doesn't spend lookups Directions would refuse anyway
+    if (stops.length > MAX_DIRECTIONS_WAYPOINTS - 2) {
+        return { error: `stops can list at most ${MAX_DIRECTIONS_WAYPOINTS - 2} locations` };
+    }
+    if (!Object.hasOwn(TRAVEL_MODES, travelMode)) {
+        return { error: `travelMode must be one of ${Object.keys(TRAVEL_MODES).join(', ')}` };
+    }
+    if (!Object.hasOwn(VEHICLE_CROSSWIND_LIMITS, vehicleType)) {
+        return { error: `vehicleType must be one of ${Object.keys(VEHICLE_CROSSWIND_LIMITS).join(', ')}` };
+    }
+
+    return {
+        value: {
+            start: start.trim(),
+            end: end.trim(),
+            departure: new Date(departure),
+            stops: stops.map(stop => ({ location: stop.location.trim(), dwellMinutes: Math.max(0, parseInt(stop.dwellMinutes, 10) || 0) })),
+            travelMode,
+            vehicleType
+        }
+    };
+}
+
+// Forecast along the recommended route: geometry, weather for each stretch between sampled points,
+// and the merged alerts the page lists in its weather summary. Values are metric (°C, mm, cm of snow, km/h, m).
+async function forecastRoute({ start, end, departure, stops = [], travelMode = 'driving', vehicleType = 'car' }) {
+    const startCoords = await geocodeLocation(start);
+    const stopCoords = [];
+    for (const stop of stops) {
+        stopCoords.push(await geocodeLocation(stop.location));
+    }
+    const endCoords = await geocodeLocation(end);
+
+    const waypoints = [startCoords, ...stopCoords, endCoords];
+    const route = await getRoute(waypoints, getDirectionsProfile(travelMode, waypoints.length));
+    const routePoints = sampleRoute(route);
+    const requestPoints = buildWeatherRequestPoints(routePoints, departure, route.duration, buildStopDwells(route, stops));
+    const weatherData = combineRouteWeather(routePoints, requestPoints, await getWeatherForPoints(requestPoints));
+
+    const mode = getAlertSettings(travelMode, VEHICLE_CROSSWIND_LIMITS[vehicleType]);
+
+    const segments = weatherData.slice(0, -1).map((w, i) => {
+        const next = weatherData[i + 1];
+        return {
+            from: w.coords,
+            to: next.coords,
+            startDistance: w.distanceFromStart,
+            endDistance: next.distanceFromStart,
+            startTime: w.time,
+            endTime: next.time,
+            description: getWeatherDescription(w.weatherCode),
+            conditions: ALERT_CATEGORIZERS.map(categorize => categorize(w, mode)).filter(Boolean),
+            weather: {
+                weatherCode: w.weatherCode,
+                temperature: w.temperature,
+                apparentTemperature: w.apparentTemperature,
+                precipitation: w.precipitation,
+                precipitationProbability: w.precipitationProbability,
+                snowfall: w.snowfall,
+                windSpeed: w.windSpeed,
+                windGusts: w.windGusts,
+                windDirection: w.windDirection,
+                visibility: w.visibility,
+                elevation: w.elevation
+            }
+        };
+    });
+
+    return {
+        start: { location: start, coordinates: startCoords },
+        end: { location: end, coordinates: endCoords },
+        stops: stops.map((stop, i) => ({ ...stop, coordinates: stopCoords[i] })),
+        departure,
+        travelMode,
+        vehicleType,
+        distanceMeters: route.distance,
+        durationSeconds: route.duration,
+        geometry: route.geometry,
+        segments,
+        alerts: buildWeatherAlerts(weatherData, route.distance, mode)
+    };
+}
+
+module.exports = {
+    getWeatherForPoints,
+    parseForecastRequest,
+    forecastRoute
+};
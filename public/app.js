@@ -44,6 +44,8 @@ window.initGooglePlaces = function() {
     setupAutocomplete('endLocation', 'endSuggestions');
     setupAutocomplete('startLocationMobile', 'startSuggestionsMobile');
     setupAutocomplete('endLocationMobile', 'endSuggestionsMobile');
+    setupStopAutocomplete('stopsList');
+    setupStopAutocomplete('stopsListMobile');
 };
 
 // Initialize the map
@@ -87,15 +89,17 @@ function initializeMap() {
             map.resize();
         }, 100);
         
-        // Restore cached route when map loads
-        console.log('Map loaded, attempting restore...');
-        restoreRouteFromCache();
+        // A shared link takes priority over the cached route
+        if (!openSharedRoute()) {
+            console.log('Map loaded, attempting restore...');
+            restoreRouteFromCache();
+        }
     });
     
     // Also restore when map style finishes loading (happens on app resume)
     map.on('styledata', () => {
         // Check if this is a style reload (not initial load) and we have cached data
-        const cached = sessionStorage.getItem('cachedRoute');
+        const cached = readCachedRoute();
         if (cached && map.isStyleLoaded()) {
             // Check if route layers are missing
             const hasRoute = map.getSource('route-segment-0');
@@ -118,6 +122,186 @@ let map = null;
 let weatherMarkers = [];
 let currentRouteAddresses = { start: '', end: '', startCoords: null, endCoords: null };
 let isRestoringRoute = false;
+let routeAlternatives = []; // [{ route, weatherData }] for every route Mapbox suggested
+let selectedRouteIndex = 0;
+let forecastFetchedAt = null; // When the weather on screen was fetched
+let showingCachedForecast = false; // True until the restored route's weather is fetched again
+
+// Unit preference - weather is stored in metric and converted only for display
+const UNIT_SYSTEMS = {
+    imperial: { temperature: '°F', precipitation: 'in', speed: 'mph', distance: 'mi', marker: 'mile' },
+    metric: { temperature: '°C', precipitation: 'mm', speed: 'km/h', distance: 'km', marker: 'km' },
+    mixed: { temperature: '°C', precipitation: 'mm', speed: 'mph', distance: 'mi', marker: 'mile' }
+};
+// Own-property checks: stored and shared values like 'constructor' must not match inherited keys
+let unitSystem = Object.hasOwn(UNIT_SYSTEMS, localStorage.getItem('unitSystem')) ? localStorage.getItem('unitSystem') : 'imperial';
+
+function getUnits() {
+    return UNIT_SYSTEMS[unitSystem];
+}
+
+// Convert meters to the preferred distance unit
+function toDistanceUnit(meters) {
+    return getUnits().distance === 'mi' ? meters / 1609.34 : meters / 1000;
+}
+
+function formatDistance(meters, decimals = 1) {
+    return `${toDistanceUnit(meters).toFixed(decimals)} ${getUnits().distance}`;
+}
+
+// "mile 12" or "km 19" for alert text
+function formatDistanceMarker(meters) {
+    return `${getUnits().marker} ${toDistanceUnit(meters).toFixed(0)}`;
+}
+
+function formatTemperature(celsius) {
+    const value = getUnits().temperature === '°F' ? celsius * 9 / 5 + 32 : celsius;
+    return `${Math.round(value)}${getUnits().temperature}`;
+}
+
+// A difference between two temperatures, so no freezing-point offset
+function formatTemperatureChange(celsius) {
+    const value = getUnits().temperature === '°F' ? celsius * 9 / 5 : celsius;
+    return `${value > 0 ? '+' : ''}${Math.round(value)}${getUnits().temperature}`;
+}
+
+// Open-Meteo can return null for an hour, so show a dash rather than a made-up amount
+function formatPrecipitation(mm) {
+    if (typeof mm !== 'number') return '—';
+    return getUnits().precipitation === 'in'
+        ? `${(mm / 25.4).toFixed(2)}"`
+        : `${mm.toFixed(1)} mm`;
+}
+
+// Convert km/h to the preferred speed unit and back
+function toSpeedUnit(kmh) {
+    return getUnits().speed === 'mph' ? kmh / 1.60934 : kmh;
+}
+
+function fromSpeedUnit(value) {
+    return getUnits().speed === 'mph' ? value * 1.60934 : value;
+}
+
+function formatSpeed(kmh) {
+    return `${Math.round(toSpeedUnit(kmh))} ${getUnits().speed}`;
+}
+
+// Elevation in feet wherever distances are in miles
+function formatElevation(meters) {
+    return getUnits().distance === 'mi'
+        ? `${Math.round(meters * 3.28084).toLocaleString()} ft`
+        : `${Math.round(meters).toLocaleString()} m`;
+}
+
+// Snowfall arrives in centimeters
+function formatSnowfall(cm) {
+    if (typeof cm !== 'number') return '—';
+    return getUnits().precipitation === 'in'
+        ? `${(cm / 2.54).toFixed(1)}"`
+        : `${cm.toFixed(1)} cm`;
+}
+
+// Change the unit preference and re-render the current route from data already loaded
+function setUnitSystem(value) {
+    if (!Object.hasOwn(UNIT_SYSTEMS, value)) return;
+    
+    unitSystem = value;
+    localStorage.setItem('unitSystem', value);
+    
+    const unitSelect = document.getElementById('unitSelect');
+    if (unitSelect) unitSelect.value = value;
+    updateCrosswindLimitInput();
+    updateTrackSpeedInputs();
+    
+    if (routeAlternatives.length > 0) {
+        const { route, weatherData } = routeAlternatives[selectedRouteIndex];
+        displayRouteInfo(route, weatherData, false);
+        displayRouteComparison();
+        displayOfficialAlerts();
+        updateTimelinePosition();
+    }
+    
+    const savedRoutesModal = document.getElementById('savedRoutesModal');
+    if (savedRoutesModal && !savedRoutesModal.classList.contains('hidden')) {
+        displaySavedRoutes();
+    }
+}
+
+// Vehicle profile - defaults from VEHICLE_CROSSWIND_LIMITS (route-weather-core.js), the limit can be customized
+let vehicleType = Object.hasOwn(VEHICLE_CROSSWIND_LIMITS, localStorage.getItem('vehicleType')) ? localStorage.getItem('vehicleType') : 'car';
+let crosswindLimit = parseFloat(localStorage.getItem('crosswindLimit')) || VEHICLE_CROSSWIND_LIMITS[vehicleType];
+
+// Switch vehicle type and reset the crosswind limit to that vehicle's default
+function setVehicleType(value) {
+    if (!Object.hasOwn(VEHICLE_CROSSWIND_LIMITS, value)) return;
+    
+    vehicleType = value;
+    localStorage.setItem('vehicleType', value);
+    
+    crosswindLimit = VEHICLE_CROSSWIND_LIMITS[value];
+    localStorage.setItem('crosswindLimit', crosswindLimit);
+    
+    updateCrosswindLimitInput();
+    rerenderCurrentRoute();
+}
+
+// Custom crosswind limit, entered in the preferred speed unit
+function setCrosswindLimit(value) {
+    const limit = fromSpeedUnit(parseFloat(value));
+    if (!(limit > 0)) {
+        updateCrosswindLimitInput();
+        return;
+    }
+    
+    crosswindLimit = limit;
+    localStorage.setItem('crosswindLimit', crosswindLimit);
+    rerenderCurrentRoute();
+}
+
+function updateCrosswindLimitInput() {
+    const vehicleSelect = document.getElementById('vehicleSelect');
+    const limitInput = document.getElementById('crosswindLimitInput');
+    const limitUnit = document.getElementById('crosswindLimitUnit');
+    
+    if (vehicleSelect) vehicleSelect.value = vehicleType;
+    if (limitInput) limitInput.value = Math.round(toSpeedUnit(crosswindLimit));
+    if (limitUnit) limitUnit.textContent = getUnits().speed;
+}
+
+// Travel mode - profiles and weather thresholds are in TRAVEL_MODES (route-weather-core.js)
+let travelMode = Object.hasOwn(TRAVEL_MODES, localStorage.getItem('travelMode')) ? localStorage.getItem('travelMode') : 'driving';
+
+function setTravelMode(value) {
+    if (!Object.hasOwn(TRAVEL_MODES, value)) return;
+    
+    travelMode = value;
+    localStorage.setItem('travelMode', value);
+    updateTravelModeInputs();
+}
+
+function updateTravelModeInputs() {
+    ['travelModeSelect', 'travelModeSelectMobile'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.value = travelMode;
+    });
+}
+
+// Thresholds for the route on screen, which keeps the mode it was planned with
+function getTravelModeSettings() {
+    const mode = currentRouteAddresses && currentRouteAddresses.travelMode;
+    return getAlertSettings(Object.hasOwn(TRAVEL_MODES, mode) ? mode : travelMode, crosswindLimit);
+}
+
+// Redraw the current route from data already loaded (no refetch, keeps the map view)
+function rerenderCurrentRoute() {
+    if (routeAlternatives.length === 0 || !map) return;
+    
+    const { route, weatherData } = routeAlternatives[selectedRouteIndex];
+    displayRouteWithWeather(route, weatherData, false);
+    displayAlternativeRoutes();
+    displayRouteInfo(route, weatherData, false);
+    displayRouteComparison();
+}
 
 // Set default departure time to now (in local timezone)
 function setDefaultDepartureTime() {
@@ -293,8 +477,9 @@ document.getElementById('routeForm').addEventListener('submit', async (e) => {
     const startLocation = document.getElementById('startLocation').value;
     const endLocation = document.getElementById('endLocation').value;
     const departureTime = document.getElementById('departureTime').value;
+    const stops = readStops('stopsList');
     
-    await getRouteWithWeather(startLocation, endLocation, departureTime, false);
+    await getRouteWithWeather(startLocation, endLocation, departureTime, false, stops);
 });
 
 // Mobile form handler
@@ -306,13 +491,152 @@ if (mobileForm) {
         const startLocation = document.getElementById('startLocationMobile').value;
         const endLocation = document.getElementById('endLocationMobile').value;
         const departureTime = document.getElementById('departureTimeMobile').value;
+        const stops = readStops('stopsListMobile');
+        
+        await getRouteWithWeather(startLocation, endLocation, departureTime, true, stops);
+    });
+}
+
+// Imported tracks - average speed in km/h for tracks without usable timestamps
+let trackSpeed = parseFloat(localStorage.getItem('trackSpeed')) || 15;
+const TRACK_SPEED_INPUT_IDS = ['trackSpeedInput', 'trackSpeedInputMobile'];
+
+function setTrackSpeed(value) {
+    const speed = fromSpeedUnit(parseFloat(value));
+    if (speed > 0) {
+        trackSpeed = speed;
+        localStorage.setItem('trackSpeed', trackSpeed);
+    }
+    updateTrackSpeedInputs();
+}
+
+function updateTrackSpeedInputs() {
+    TRACK_SPEED_INPUT_IDS.forEach(id => {
+        const input = document.getElementById(id);
+        const unit = document.getElementById(`${id}Unit`);
+        if (input) input.value = Math.round(toSpeedUnit(trackSpeed));
+        if (unit) unit.textContent = getUnits().speed;
+    });
+}
+
+// Dropping a track file anywhere on the map imports it
+function setupTrackDrop() {
+    const mapElement = document.getElementById('map');
+    if (!mapElement) return;
+    
+    mapElement.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        mapElement.classList.add('track-drop-active');
+    });
+    mapElement.addEventListener('dragleave', () => {
+        mapElement.classList.remove('track-drop-active');
+    });
+    mapElement.addEventListener('drop', (e) => {
+        e.preventDefault();
+        mapElement.classList.remove('track-drop-active');
         
-        await getRouteWithWeather(startLocation, endLocation, departureTime, true);
+        const file = e.dataTransfer.files[0];
+        if (file) importTrackFile(file, window.innerWidth <= 768);
+    });
+}
+
+// Intermediate stops - each list holds rows of { location, dwellMinutes }
+function readStops(listId) {
+    const list = document.getElementById(listId);
+    if (!list) return [];
+    
+    return Array.from(list.querySelectorAll('.stop-row'))
+        .map(row => ({
+            location: row.querySelector('.stop-location-input').value.trim(),
+            dwellMinutes: Math.max(0, parseInt(row.querySelector('.stop-dwell').value, 10) || 0)
+        }))
+        .filter(stop => stop.location);
+}
+
+// Rebuild a stop list from data, keeping element ids in index order
+function renderStopList(listId, stops) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+    
+    list.innerHTML = stops.map((stop, i) => `
+        <div class="input-group stop-row">
+            <div class="stop-location">
+                <div class="input-wrapper">
+                    <input type="text" id="${listId}-location-${i}" class="stop-location-input" placeholder="Stop ${i + 1}" required autocomplete="off">
+                    <button type="button" class="clear-input" onclick="clearInput('${listId}-location-${i}')">×</button>
+                </div>
+                <div id="${listId}-suggestions-${i}" class="autocomplete-suggestions"></div>
+            </div>
+            <div class="stop-controls">
+                <label class="stop-dwell-label">
+                    Stay
+                    <input type="number" class="stop-dwell" min="0" step="5">
+                    min
+                </label>
+                <button type="button" class="stop-btn" onclick="moveStop('${listId}', ${i}, -1)" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="stop-btn" onclick="moveStop('${listId}', ${i}, 1)" title="Move down" ${i === stops.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="stop-btn stop-remove-btn" onclick="removeStop('${listId}', ${i})" title="Remove stop">✕</button>
+            </div>
+        </div>
+    `).join('');
+    
+    // Set values through the DOM so addresses never need HTML escaping
+    list.querySelectorAll('.stop-row').forEach((row, i) => {
+        row.querySelector('.stop-location-input').value = stops[i].location;
+        row.querySelector('.stop-dwell').value = stops[i].dwellMinutes || 0;
+    });
+    
+    setupStopAutocomplete(listId);
+}
+
+// Fill both desktop and mobile stop lists
+function renderStops(stops) {
+    renderStopList('stopsList', stops);
+    renderStopList('stopsListMobile', stops);
+}
+
+function setupStopAutocomplete(listId) {
+    const list = document.getElementById(listId);
+    if (!list || !googlePlacesReady) return;
+    
+    list.querySelectorAll('.stop-location-input').forEach((input, i) => {
+        setupAutocomplete(input.id, `${listId}-suggestions-${i}`);
     });
 }
 
+// Read every row (including blank ones) so editing in progress isn't lost
+function readStopRows(listId) {
+    const list = document.getElementById(listId);
+    return Array.from(list.querySelectorAll('.stop-row')).map(row => ({
+        location: row.querySelector('.stop-location-input').value,
+        dwellMinutes: parseInt(row.querySelector('.stop-dwell').value, 10) || 0
+    }));
+}
+
+function addStop(listId) {
+    const stops = readStopRows(listId);
+    stops.push({ location: '', dwellMinutes: 0 });
+    renderStopList(listId, stops);
+    document.getElementById(`${listId}-location-${stops.length - 1}`).focus();
+}
+
+function removeStop(listId, index) {
+    const stops = readStopRows(listId);
+    stops.splice(index, 1);
+    renderStopList(listId, stops);
+}
+
+function moveStop(listId, index, direction) {
+    const stops = readStopRows(listId);
+    const target = index + direction;
+    if (target < 0 || target >= stops.length) return;
+    
+    [stops[index], stops[target]] = [stops[target], stops[index]];
+    renderStopList(listId, stops);
+}
+
 // Main function to get route and weather
-async function getRouteWithWeather(start, end, departureTime, isMobile = false) {
+async function getRouteWithWeather(start, end, departureTime, isMobile = false, stops = []) {
     showLoading(true, isMobile);
     hideError(isMobile);
     hideRouteInfo(isMobile);
@@ -321,6 +645,10 @@ async function getRouteWithWeather(start, end, departureTime, isMobile = false)
     try {
         // Step 1: Geocode locations
         const startCoords = await geocodeLocation(start);
+        const stopCoords = [];
+        for (const stop of stops) {
+            stopCoords.push(await geocodeLocation(stop.location));
+        }
         const endCoords = await geocodeLocation(end);
         
         // Store route addresses for navigation
@@ -328,38 +656,47 @@ async function getRouteWithWeather(start, end, departureTime, isMobile = false)
             start: start,
             end: end,
             startCoords: startCoords,
-            endCoords: endCoords
+            endCoords: endCoords,
+            stops: stops.map((stop, i) => ({ ...stop, coords: stopCoords[i] })),
+            travelMode
         };
         
-        // Step 2: Get route from Mapbox
-        const route = await getRoute(startCoords, endCoords);
+        // Step 2: Get route options from Mapbox for the chosen travel mode
+        const waypoints = [startCoords, ...stopCoords, endCoords];
+        const routes = await getRoutes(waypoints, getDirectionsProfile(travelMode, waypoints.length));
         
-        // Step 3: Sample points along the route
-        const routePoints = sampleRoutePoints(route.geometry.coordinates, 5); // Every 5km
-        
-        // Step 4: Get weather for each point
-        const weatherData = await getWeatherForRoute(routePoints, departureTime, route.duration);
+        // Step 3 & 4: Sample points along every option and get weather for each point
+        routeAlternatives = await getWeatherForRoutes(routes, departureTime, currentRouteAddresses.stops);
+        selectedRouteIndex = 0;
+        const { route, weatherData } = routeAlternatives[selectedRouteIndex];
         
         // Step 5: Visualize on map
         displayRouteWithWeather(route, weatherData);
+        displayAlternativeRoutes();
         
         // Step 6: Show route information
         displayRouteInfo(route, weatherData, isMobile);
+        displayRouteComparison();
         
         // Store current route data for saving
-        currentRouteData = {
-            route,
-            distance: `${(route.distance / 1609.34).toFixed(1)} miles`
-        };
+        currentRouteData = { route };
+        markForecastFresh();
         
         // Save route to sessionStorage for persistence
         saveRouteToCache({
             route,
             weatherData,
             addresses: currentRouteAddresses,
-            departureTime
+            departureTime,
+            alternatives: routeAlternatives,
+            selectedRouteIndex
         });
         
+        // Rechecking a saved route: show what changed since its last forecast
+        if (recheckingSavedRouteId !== null) {
+            compareWithSavedSnapshot(recheckingSavedRouteId, route, weatherData);
+        }
+        
         showLoading(false, isMobile);
         
         // Navigate to results on mobile
@@ -376,6 +713,8 @@ async function getRouteWithWeather(start, end, departureTime, isMobile = false)
         showLoading(false, isMobile);
         showError(error.message, isMobile);
         console.error('Error:', error);
+    } finally {
+        recheckingSavedRouteId = null;
     }
 }
 
@@ -394,9 +733,13 @@ async function geocodeLocation(location) {
     return data.features[0].center; // [longitude, latitude]
 }
 
-// Get route from Mapbox Directions API
-async function getRoute(start, end) {
-    const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${start[0]},${start[1]};${end[0]},${end[1]}?geometries=geojson&access_token=${MAPBOX_API_KEY}`;
+// Get route options from Mapbox Directions API (the recommended route comes first)
+async function getRoutes(waypoints, profile = 'driving') {
+    const coordinates = waypoints.map(coords => `${coords[0]},${coords[1]}`).join(';');
+    
+    // Mapbox only suggests alternatives for trips without intermediate stops
+    const alternatives = waypoints.length === 2;
+    const url = `https://api.mapbox.com/directions/v5/mapbox/${profile}/${coordinates}?geometries=geojson&overview=full&annotations=duration,distance&alternatives=${alternatives}&access_token=${MAPBOX_API_KEY}`;
     
     const response = await fetch(url);
     if (!response.ok) throw new Error('Failed to get route');
@@ -406,100 +749,225 @@ async function getRoute(start, end) {
         throw new Error('No route found');
     }
     
-    return data.routes[0];
+    return data.routes;
 }
 
-// Sample points along the route at regular intervals
-function sampleRoutePoints(coordinates, intervalKm) {
-    const points = [];
-    const R = 6371; // Earth's radius in km
+// Sample and fetch weather for each route option
+async function getWeatherForRoutes(routes, departureTime, stops = []) {
+    return await Promise.all(routes.map(async (route) => {
+        const routePoints = sampleRoute(route);
+        const weatherData = await getWeatherForRoute(routePoints, departureTime, route.duration, buildStopDwells(route, stops));
+        return { route, weatherData };
+    }));
+}
+
+// Read a GPX, KML or GeoJSON file into { name, coordinates, times } (times may be null)
+async function parseTrackFile(file) {
+    const text = await file.text();
+    const extension = file.name.split('.').pop().toLowerCase();
+    const baseName = file.name.replace(/\.[^.]+$/, '');
     
-    let accumulatedDistance = 0;
-    points.push({
-        coords: coordinates[0],
-        distance: 0
-    });
+    if (extension === 'geojson' || extension === 'json') {
+        return parseGeoJSONTrack(JSON.parse(text), baseName);
+    }
     
-    for (let i = 1; i < coordinates.length; i++) {
-        const [lon1, lat1] = coordinates[i - 1];
-        const [lon2, lat2] = coordinates[i];
-        
-        // Haversine formula for distance
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                  Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        const segmentDistance = R * c;
-        
-        accumulatedDistance += segmentDistance;
-        
-        // Add point if we've traveled enough distance
-        if (accumulatedDistance >= intervalKm) {
-            points.push({
-                coords: coordinates[i],
-                distance: accumulatedDistance
-            });
-            accumulatedDistance = 0;
-        }
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Could not read the track file');
     }
     
-    // Always add the last point
-    if (coordinates.length > 0) {
-        const lastCoord = coordinates[coordinates.length - 1];
-        if (points[points.length - 1].coords !== lastCoord) {
-            points.push({
-                coords: lastCoord,
-                distance: points[points.length - 1].distance + accumulatedDistance
+    if (extension === 'gpx') return parseGPXTrack(xml, baseName);
+    if (extension === 'kml') return parseKMLTrack(xml, baseName);
+    
+    throw new Error('Unsupported track file. Use GPX, KML or GeoJSON.');
+}
+
+function parseGPXTrack(xml, fallbackName) {
+    // Prefer recorded track points, fall back to planned route points
+    let points = Array.from(xml.getElementsByTagName('trkpt'));
+    if (points.length === 0) points = Array.from(xml.getElementsByTagName('rtept'));
+    
+    const nameElement = xml.querySelector('trk > name, rte > name, metadata > name');
+    const timeOf = (point) => {
+        const time = point.getElementsByTagName('time')[0];
+        return time ? new Date(time.textContent) : null;
+    };
+    
+    return {
+        name: nameElement ? nameElement.textContent.trim() : fallbackName,
+        coordinates: points.map(point => [parseFloat(point.getAttribute('lon')), parseFloat(point.getAttribute('lat'))]),
+        times: points.map(timeOf)
+    };
+}
+
+function parseKMLTrack(xml, fallbackName) {
+    const nameElement = xml.querySelector('Document > name, Placemark > name');
+    const name = nameElement ? nameElement.textContent.trim() : fallbackName;
+    
+    // gx:Track pairs each coordinate with a timestamp
+    const trackCoords = xml.getElementsByTagNameNS('http://www.google.com/kml/ext/2.2', 'coord');
+    if (trackCoords.length > 0) {
+        return {
+            name,
+            coordinates: Array.from(trackCoords).map(coord => coord.textContent.trim().split(/\s+/).slice(0, 2).map(Number)),
+            times: Array.from(xml.getElementsByTagName('when')).map(when => new Date(when.textContent))
+        };
+    }
+    
+    const coordinates = Array.from(xml.querySelectorAll('LineString > coordinates'))
+        .flatMap(element => element.textContent.trim().split(/\s+/))
+        .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+    
+    return { name, coordinates, times: null };
+}
+
+function parseGeoJSONTrack(geojson, fallbackName) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+        : geojson.type === 'Feature' ? [geojson]
+        : [{ type: 'Feature', properties: {}, geometry: geojson }];
+    
+    const coordinates = [];
+    const times = [];
+    features.forEach(feature => {
+        const geometry = feature.geometry || {};
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates
+            : [];
+        
+        // Converters like togeojson keep GPX timestamps in coordTimes
+        const coordTimes = feature.properties && feature.properties.coordTimes;
+        lines.forEach((line, l) => {
+            const lineTimes = Array.isArray(coordTimes && coordTimes[0]) ? coordTimes[l] : coordTimes;
+            line.forEach((coord, c) => {
+                coordinates.push([coord[0], coord[1]]);
+                times.push(lineTimes && lineTimes[c] ? new Date(lineTimes[c]) : null);
             });
-        }
+        });
+    });
+    
+    const name = (geojson.name || (features[0] && features[0].properties && features[0].properties.name)) || fallbackName;
+    return { name, coordinates, times };
+}
+
+// Turn a parsed track into the same shape as a Directions route, with per-edge annotations
+// Timing comes from the track's timestamps when asked and every point has one, otherwise from the average speed
+function buildTrackRoute(track, speedKmh, useTimestamps) {
+    const coordinates = track.coordinates.filter(coord => coord.every(Number.isFinite));
+    if (coordinates.length < 2) {
+        throw new Error('The track needs at least two points');
     }
     
-    return points;
+    const times = track.times && track.times.length === track.coordinates.length
+        ? track.times.filter((time, i) => track.coordinates[i].every(Number.isFinite))
+        : null;
+    const hasTimes = useTimestamps && times && times.every(time => time && !isNaN(time.getTime())) &&
+        times[times.length - 1] > times[0];
+    
+    const distance = [];
+    const duration = [];
+    for (let i = 1; i < coordinates.length; i++) {
+        const meters = getDistanceMeters(coordinates[i - 1], coordinates[i]);
+        distance.push(meters);
+        duration.push(hasTimes
+            ? Math.max(0, (times[i] - times[i - 1]) / 1000)
+            : meters / (speedKmh / 3.6));
+    }
+    
+    const totalDistance = distance.reduce((sum, value) => sum + value, 0);
+    const totalDuration = duration.reduce((sum, value) => sum + value, 0);
+    
+    return {
+        geometry: { type: 'LineString', coordinates },
+        distance: totalDistance,
+        duration: totalDuration,
+        legs: [{ distance: totalDistance, duration: totalDuration, annotation: { distance, duration } }]
+    };
 }
 
-// Get weather data from Open-Meteo for route points
-async function getWeatherForRoute(routePoints, departureTime, totalDurationSeconds) {
-    const departureDate = new Date(departureTime);
-    const totalPoints = routePoints.length;
+// Forecast along an uploaded track instead of a geocoded, routed trip
+async function importTrackFile(file, isMobile = false) {
+    if (!file) return;
+    
+    const suffix = isMobile ? 'Mobile' : '';
+    const departureInput = document.getElementById(`departureTime${suffix}`);
+    const timestampsInput = document.getElementById(`trackUseTimestamps${suffix}`);
+    const departureTime = departureInput && departureInput.value ? departureInput.value : toLocalDateTimeValue(new Date());
+    
+    showLoading(true, isMobile);
+    hideError(isMobile);
+    hideRouteInfo(isMobile);
+    clearMap();
     
-    const weatherPromises = routePoints.map(async (point, index) => {
-        const [lon, lat] = point.coords;
+    try {
+        const track = await parseTrackFile(file);
+        const route = buildTrackRoute(track, trackSpeed, !timestampsInput || timestampsInput.checked);
+        const coords = route.geometry.coordinates;
+        const startCoords = coords[0];
+        const endCoords = coords[coords.length - 1];
         
-        // Calculate time based on actual route duration and point index
-        const progressRatio = index / (totalPoints - 1); // 0 to 1
-        const secondsOffset = totalDurationSeconds * progressRatio;
-        const pointTime = new Date(departureDate.getTime() + secondsOffset * 1000);
+        // Navigation apps take "lat,lon" in place of an address
+        currentRouteAddresses = {
+            start: `${startCoords[1].toFixed(5)},${startCoords[0].toFixed(5)}`,
+            end: `${endCoords[1].toFixed(5)},${endCoords[0].toFixed(5)}`,
+            startCoords,
+            endCoords,
+            stops: [],
+            trackName: track.name,
+            travelMode
+        };
         
-        // Format dates for API - need both start and potentially end date if crossing midnight
-        const startDate = pointTime.toISOString().split('T')[0];
-        const endDate = new Date(pointTime.getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]; // Next day
+        routeAlternatives = await getWeatherForRoutes([route], departureTime);
+        selectedRouteIndex = 0;
+        const { weatherData } = routeAlternatives[0];
         
-        const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=temperature_2m,precipitation,weathercode,windspeed_10m&timezone=auto&temperature_unit=fahrenheit&precipitation_unit=inch&windspeed_unit=mph&start_date=${startDate}&end_date=${endDate}`;
+        displayRouteWithWeather(route, weatherData);
+        displayAlternativeRoutes();
+        displayRouteInfo(route, weatherData, isMobile);
+        displayRouteComparison();
         
-        const response = await fetch(url);
-        if (!response.ok) throw new Error('Failed to fetch weather data');
+        currentRouteData = { route };
+        markForecastFresh();
         
-        const data = await response.json();
+        saveRouteToCache({
+            route,
+            weatherData,
+            addresses: currentRouteAddresses,
+            departureTime,
+            alternatives: routeAlternatives,
+            selectedRouteIndex
+        });
         
-        // Find the correct hour index in the returned data
-        // Open-Meteo returns hours starting from midnight of start_date
-        const dataStartTime = new Date(data.hourly.time[0]);
-        const hoursSinceStart = Math.floor((pointTime - dataStartTime) / (1000 * 60 * 60));
-        const hourIndex = Math.max(0, Math.min(hoursSinceStart, data.hourly.time.length - 1));
+        showLoading(false, isMobile);
         
-        return {
-            coords: point.coords,
-            temperature: data.hourly.temperature_2m[hourIndex],
-            precipitation: data.hourly.precipitation[hourIndex],
-            weatherCode: data.hourly.weathercode[hourIndex],
-            windSpeed: data.hourly.windspeed_10m[hourIndex],
-            time: pointTime
-        };
+        if (isMobile) {
+            navigateToResultsSlide();
+        }
+        
+        if (window.innerWidth <= 768) {
+            const sidebar = document.querySelector('.sidebar');
+            sidebar.classList.add('closed');
+        }
+    } catch (error) {
+        showLoading(false, isMobile);
+        showError(error.message, isMobile);
+        console.error('Track import error:', error);
+    }
+}
+
+// Get weather data for route points through the server's batched Open-Meteo proxy
+async function getWeatherForRoute(routePoints, departureTime, totalDurationSeconds, stopDwells = []) {
+    const points = buildWeatherRequestPoints(routePoints, departureTime, totalDurationSeconds, stopDwells);
+    
+    const response = await fetch('/api/weather', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ points })
     });
+    if (!response.ok) throw new Error('Failed to fetch weather data');
     
-    return await Promise.all(weatherPromises);
+    const { weather } = await response.json();
+    
+    return combineRouteWeather(routePoints, points, weather);
 }
 
 // Helper function to find closest point index in route
@@ -559,41 +1027,103 @@ function getWeatherColor(weatherCode, precipitation) {
 
 }
 
-// Get weather description
-function getWeatherDescription(weatherCode) {
-    const descriptions = {
-        0: 'Clear sky',
-        1: 'Mainly clear',
-        2: 'Partly cloudy',
-        3: 'Overcast',
-        45: 'Foggy',
-        48: 'Foggy',
-        51: 'Light drizzle',
-        53: 'Drizzle',
-        55: 'Heavy drizzle',
-        61: 'Light rain',
-        63: 'Rain',
-        65: 'Heavy rain',
-        71: 'Light snow',
-        73: 'Snow',
-        75: 'Heavy snow',
-        77: 'Snow grains',
-        80: 'Light rain showers',
-        81: 'Rain showers',
-        82: 'Heavy rain showers',
-        85: 'Light snow showers',
-        86: 'Snow showers',
-        95: 'Thunderstorm',
-        96: 'Thunderstorm with hail',
-        99: 'Severe thunderstorm'
+const ICE_RISK_COLOR = '#22d3ee';
+const NIGHT_DRIVING_COLOR = '#312e81';
+const SUN_GLARE_COLOR = '#facc15';
+
+// Sunrise/sunset strings for segment popups
+function formatSunTimes(w) {
+    const [lon, lat] = w.coords;
+    const { sunrise, sunset } = getSunTimes(w.time, lat, lon);
+    const format = (date) => date ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '';
+    
+    return { sunrise: format(sunrise), sunset: format(sunset) };
+}
+
+// 16-point compass label for a bearing
+function formatCompass(degrees) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return points[Math.round(degrees / 22.5) % 16];
+}
+
+const CROSSWIND_COLOR = '#f97316';
+
+// Overlay layers drawn along parts of the route (hazards, darkness, glare, crosswind)
+const ROUTE_OVERLAY_IDS = ['route-ice', 'route-night', 'route-glare', 'route-crosswind'];
+
+function removeRouteOverlay(id) {
+    if (map.getLayer(id)) {
+        map.removeLayer(id);
+    }
+    if (map.getSource(id)) {
+        map.removeSource(id);
+    }
+}
+
+// Replace an overlay with a line layer over the given segments (skipped when empty)
+function setRouteOverlay(id, segments, paint, beforeId) {
+    removeRouteOverlay(id);
+    if (segments.length === 0) return;
+    
+    map.addSource(id, {
+        type: 'geojson',
+        data: {
+            type: 'Feature',
+            geometry: {
+                type: 'MultiLineString',
+                coordinates: segments
+            }
+        }
+    });
+    
+    map.addLayer({
+        id,
+        type: 'line',
+        source: id,
+        layout: {
+            'line-join': 'round'
+        },
+        paint
+    }, beforeId && map.getLayer(beforeId) ? beforeId : undefined);
+}
+
+// Segment layer ids that already have click and hover handlers bound
+const boundSegmentLayers = new Set();
+
+// Route coordinates between two weather points
+function getSegmentCoordinates(routeCoords, startWeather, endWeather) {
+    const startIdx = findClosestPointIndex(routeCoords, startWeather.coords);
+    const endIdx = findClosestPointIndex(routeCoords, endWeather.coords);
+    return routeCoords.slice(startIdx, endIdx + 1);
+}
+
+// Properties attached to each weather segment (raw metric values, formatted on display)
+function getSegmentProperties(weather) {
+    return {
+        weatherCode: weather.weatherCode,
+        temperature: weather.temperature,
+        apparentTemperature: weather.apparentTemperature,
+        precipitation: weather.precipitation,
+        precipitationProbability: weather.precipitationProbability,
+        snowfall: weather.snowfall,
+        windSpeed: weather.windSpeed,
+        windGusts: weather.windGusts,
+        visibility: weather.visibility,
+        iceRisk: hasIceRisk(weather),
+        isDark: isDarkAt(weather),
+        sunGlare: hasSunGlare(weather),
+        windDirection: weather.windDirection,
+        ...getWindComponents(weather),
+        crosswindWarning: exceedsCrosswindLimit(weather, crosswindLimit),
+        ...formatSunTimes(weather),
+        time: weather.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        description: getWeatherDescription(weather.weatherCode)
     };
-    return descriptions[weatherCode] || 'Unknown';
 }
 
-// Display route with weather visualization on map
-function displayRouteWithWeather(route, weatherData) {
-    // Remove old route layers
-    for (let i = 0; i < 100; i++) {
+// Segments are numbered from 0 with no gaps; long routes and imported tracks can have hundreds
+function removeRouteSegmentLayers() {
+    for (let i = 0; map.getLayer(`route-segment-${i}`) || map.getSource(`route-segment-${i}`); i++) {
         if (map.getLayer(`route-segment-${i}`)) {
             map.removeLayer(`route-segment-${i}`);
         }
@@ -601,14 +1131,21 @@ function displayRouteWithWeather(route, weatherData) {
             map.removeSource(`route-segment-${i}`);
         }
     }
+}
+
+// Display route with weather visualization on map
+function displayRouteWithWeather(route, weatherData, fitToRoute = true) {
+    // Remove old route layers
+    removeRouteSegmentLayers();
     
-    // Remove old outline layer
+    // Remove old outline and overlay layers
     if (map.getLayer('route-outline')) {
         map.removeLayer('route-outline');
     }
     if (map.getSource('route-outline')) {
         map.removeSource('route-outline');
     }
+    ROUTE_OVERLAY_IDS.forEach(removeRouteOverlay);
     
     // Create a single outline layer for the entire route
     const routeCoords = route.geometry.coordinates;
@@ -641,20 +1178,15 @@ function displayRouteWithWeather(route, weatherData) {
     
     // Create colored segments based on weather
     // For each weather point, create a colored segment
+    const iceSegments = [];
+    const nightSegments = [];
+    const glareSegments = [];
+    const crosswindSegments = [];
     for (let i = 0; i < weatherData.length - 1; i++) {
         const startWeather = weatherData[i];
         const endWeather = weatherData[i + 1];
         
-        // Find the indices in route coordinates
-        const startCoord = startWeather.coords;
-        const endCoord = endWeather.coords;
-        
-        // Find closest points in the route
-        const startIdx = findClosestPointIndex(routeCoords, startCoord);
-        const endIdx = findClosestPointIndex(routeCoords, endCoord);
-        
-        // Get segment coordinates
-        const segmentCoords = routeCoords.slice(startIdx, endIdx + 1);
+        const segmentCoords = getSegmentCoordinates(routeCoords, startWeather, endWeather);
         
         // Use the starting weather for the segment color
         const color = getWeatherColor(startWeather.weatherCode, startWeather.precipitation);
@@ -668,14 +1200,7 @@ function displayRouteWithWeather(route, weatherData) {
             type: 'geojson',
             data: {
                 type: 'Feature',
-                properties: {
-                    weatherCode: startWeather.weatherCode,
-                    temperature: startWeather.temperature,
-                    precipitation: startWeather.precipitation,
-                    windSpeed: startWeather.windSpeed,
-                    time: startWeather.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-                    description: getWeatherDescription(startWeather.weatherCode)
-                },
+                properties: getSegmentProperties(startWeather),
                 geometry: {
                     type: 'LineString',
                     coordinates: segmentCoords
@@ -699,45 +1224,113 @@ function displayRouteWithWeather(route, weatherData) {
             }
         });
         
-        // Make segment clickable
-        map.on('click', `route-segment-${i}`, (e) => {
-            const properties = e.features[0].properties;
+        // Make segment clickable (handlers survive re-renders, so only bind them once)
+        if (!boundSegmentLayers.has(`route-segment-${i}`)) {
+            boundSegmentLayers.add(`route-segment-${i}`);
             
-            const popup = new mapboxgl.Popup()
-                .setLngLat(e.lngLat)
-                .setHTML(`
-                    <div style="padding: 8px;">
-                        <strong>${properties.description}</strong><br>
-                        🌡️ ${Math.round(properties.temperature)}°F<br>
-                        🌧️ ${parseFloat(properties.precipitation).toFixed(2)}"<br>
-                        💨 ${Math.round(properties.windSpeed)} mph<br>
-                        🕐 ${properties.time}
-                    </div>
-                `)
-                .addTo(map);
+            map.on('click', `route-segment-${i}`, (e) => {
+                const properties = e.features[0].properties;
+                
+                // Move the elevation chart cursor to the clicked spot
+                setElevationCursor(findClosestProfileIndex([e.lngLat.lng, e.lngLat.lat]), false);
             
-            // Fix accessibility warning by removing aria-hidden from close button
-            popup.on('open', () => {
-                const closeButton = document.querySelector('.mapboxgl-popup-close-button');
-                if (closeButton) {
-                    closeButton.removeAttribute('aria-hidden');
-                }
+                // Routes cached before these variables existed won't have them
+                const has = (key) => typeof properties[key] === 'number';
+            
+                const popup = new mapboxgl.Popup()
+                    .setLngLat(e.lngLat)
+                    .setHTML(`
+                        <div style="padding: 8px;">
+                            <strong>${properties.description}</strong><br>
+                            🌡️ ${formatTemperature(properties.temperature)}${has('apparentTemperature') ? ` (feels like ${formatTemperature(properties.apparentTemperature)})` : ''}<br>
+                            🌧️ ${formatPrecipitation(properties.precipitation)}${has('precipitationProbability') ? ` · ${properties.precipitationProbability}% chance` : ''}<br>
+                            ${has('snowfall') && properties.snowfall > 0 ? `❄️ ${formatSnowfall(properties.snowfall)} snow<br>` : ''}
+                            💨 ${formatSpeed(properties.windSpeed)}${has('windDirection') ? ` from ${formatCompass(properties.windDirection)}` : ''}${has('windGusts') ? `, gusts ${formatSpeed(properties.windGusts)}` : ''}<br>
+                            ${has('headwind') ? `↕️ ${formatSpeed(Math.abs(properties.headwind))} ${properties.headwind >= 0 ? 'headwind' : 'tailwind'} · ↔️ ${formatSpeed(properties.crosswind)} crosswind<br>` : ''}
+                            ${properties.crosswindWarning ? `⚠️ Gusting crosswind of ${formatSpeed(properties.gustCrosswind)} is over your ${formatSpeed(crosswindLimit)} limit<br>` : ''}
+                            ${has('visibility') ? `👁️ ${formatDistance(properties.visibility)} visibility<br>` : ''}
+                            ${properties.iceRisk ? '🧊 Ice risk<br>' : ''}
+                            ${properties.isDark ? '🌙 Driving in darkness<br>' : ''}
+                            ${properties.sunGlare ? '😎 Low sun ahead, expect glare<br>' : ''}
+                            ${properties.sunrise || properties.sunset ? `🌅 ${properties.sunrise || '—'} · 🌇 ${properties.sunset || '—'}<br>` : ''}
+                            🕐 ${properties.time}
+                        </div>
+                    `)
+                    .addTo(map);
+            
+                // Fix accessibility warning by removing aria-hidden from close button
+                popup.on('open', () => {
+                    const closeButton = document.querySelector('.mapboxgl-popup-close-button');
+                    if (closeButton) {
+                        closeButton.removeAttribute('aria-hidden');
+                    }
+                });
             });
-        });
-        
-        // Change cursor on hover
-        map.on('mouseenter', `route-segment-${i}`, () => {
-            map.getCanvas().style.cursor = 'pointer';
-        });
+            
+            // Change cursor on hover
+            map.on('mouseenter', `route-segment-${i}`, () => {
+                map.getCanvas().style.cursor = 'pointer';
+            });
+            
+            map.on('mouseleave', `route-segment-${i}`, () => {
+                map.getCanvas().style.cursor = '';
+            });
+            
+        }
         
-        map.on('mouseleave', `route-segment-${i}`, () => {
-            map.getCanvas().style.cursor = '';
-        });
+        if (hasIceRisk(startWeather)) {
+            iceSegments.push(segmentCoords);
+        }
+        if (isDarkAt(startWeather)) {
+            nightSegments.push(segmentCoords);
+        }
+        if (hasSunGlare(startWeather)) {
+            glareSegments.push(segmentCoords);
+        }
+        if (exceedsCrosswindLimit(startWeather, crosswindLimit)) {
+            crosswindSegments.push(segmentCoords);
+        }
     }
     
-    // Remove the marker code - segments are now clickable instead
-    /*
-    */
+    // Road hazard layer: dashed ice-risk line drawn over the weather colors
+    setRouteOverlay('route-ice', iceSegments, {
+        'line-color': ICE_RISK_COLOR,
+        'line-width': 4,
+        'line-dasharray': [1, 1.5]
+    });
+    
+    // Darkness and glare are wide halos beneath the route so weather colors stay readable
+    setRouteOverlay('route-night', nightSegments, {
+        'line-color': NIGHT_DRIVING_COLOR,
+        'line-width': 18,
+        'line-opacity': 0.45
+    }, 'route-outline');
+    setRouteOverlay('route-glare', glareSegments, {
+        'line-color': SUN_GLARE_COLOR,
+        'line-width': 18,
+        'line-opacity': 0.55
+    }, 'route-outline');
+    
+    // Crosswind warnings run alongside the route so they don't hide the weather colors
+    setRouteOverlay('route-crosswind', crosswindSegments, {
+        'line-color': CROSSWIND_COLOR,
+        'line-width': 4,
+        'line-offset': 8
+    });
+    
+    // Remove the marker code - segments are now clickable instead
+    /*
+    */
+    
+    setupTimeline(route, weatherData);
+    refreshOfficialAlerts(weatherData);
+    
+    if (precipitationGrid.enabled) {
+        resetPrecipitationGridHours();
+        refreshPrecipitationGrid();
+    }
+    
+    if (!fitToRoute) return;
     
     // Fit map to route
     const coordinates = route.geometry.coordinates;
@@ -748,796 +1341,2822 @@ function displayRouteWithWeather(route, weatherData) {
     map.fitBounds(bounds, { padding: 100 });
 }
 
-// Display route information in sidebar
-function displayRouteInfo(route, weatherData, isMobile = false) {
-    const distanceMiles = (route.distance / 1609.34).toFixed(1);
-    const durationMin = Math.round(route.duration / 60);
-    const hours = Math.floor(durationMin / 60);
-    const minutes = durationMin % 60;
-    
-    const distanceText = `${distanceMiles} mi`;
-    const durationText = hours > 0 
-        ? `${hours}h ${minutes}m` 
-        : `${minutes}m`;
-    
-    // Weather summary - smart display
-    const totalDistance = route.distance / 1609.34; // Convert to miles
-    const badWeatherCodes = [45, 48, 51, 53, 55, 56, 57, 61, 63, 65, 66, 67, 71, 73, 75, 77, 80, 81, 82, 85, 86, 95, 96, 99];
-    
-    // Check if all weather is good (clear or cloudy only)
-    const allGood = weatherData.every(w => w.weatherCode <= 3);
-    
-    let summaryHTML = '';
-    
-    if (allGood) {
-        summaryHTML = '<div style="color: #4ade80; font-weight: 500;">✓ Good conditions throughout route</div>';
-    } else {
-        // Categorize weather types
-        const getWeatherCategory = (code) => {
-            if (code >= 95) return 'Thunderstorm';
-            if (code >= 85 || (code >= 71 && code <= 77)) {
-                // Heavy snow codes: 75, 77, 86
-                if (code === 75 || code === 77 || code === 86) return 'Heavy snow';
-                return 'Snow';
-            }
-            if (code >= 61 || (code >= 51 && code <= 57) || (code >= 80 && code <= 82)) {
-                // Heavy rain codes: 65, 67, 82
-                if (code === 65 || code === 67 || code === 82) return 'Heavy rain';
-                return 'Rain';
-            }
-            if (code === 45 || code === 48) return 'Fog';
-            return null;
-        };
+// Layer ids that already have alternative-route click handlers bound
+const boundAlternativeLayers = new Set();
+
+// Draw the unselected route options as dimmed lines beneath the weather segments
+function displayAlternativeRoutes() {
+    routeAlternatives.forEach(({ route }, i) => {
+        const layerId = `route-alternative-${i}`;
         
-        // Find bad weather segments and merge same categories
-        const alerts = [];
-        let currentBadWeather = null;
+        if (map.getLayer(layerId)) map.removeLayer(layerId);
+        if (map.getSource(layerId)) map.removeSource(layerId);
+        if (i === selectedRouteIndex) return;
         
-        weatherData.forEach((w, index) => {
-            const category = getWeatherCategory(w.weatherCode);
-            const isBad = category !== null;
-            const distanceAtPoint = (index / (weatherData.length - 1)) * totalDistance;
-            
-            if (isBad && !currentBadWeather) {
-                // Start of bad weather segment
-                currentBadWeather = {
-                    condition: category,
-                    startMile: distanceAtPoint,
-                    startTime: w.time
-                };
-            } else if (!isBad && currentBadWeather) {
-                // End of bad weather segment
-                currentBadWeather.endMile = distanceAtPoint;
-                currentBadWeather.endTime = weatherData[index - 1].time;
-                alerts.push(currentBadWeather);
-                currentBadWeather = null;
-            } else if (isBad && currentBadWeather && category !== currentBadWeather.condition) {
-                // Weather category changed
-                currentBadWeather.endMile = distanceAtPoint;
-                currentBadWeather.endTime = weatherData[index - 1].time;
-                alerts.push(currentBadWeather);
-                currentBadWeather = {
-                    condition: category,
-                    startMile: distanceAtPoint,
-                    startTime: w.time
-                };
+        map.addSource(layerId, {
+            type: 'geojson',
+            data: {
+                type: 'Feature',
+                properties: { index: i },
+                geometry: route.geometry
             }
         });
         
-        // Close final segment if needed
-        if (currentBadWeather) {
-            currentBadWeather.endMile = totalDistance;
-            currentBadWeather.endTime = weatherData[weatherData.length - 1].time;
-            alerts.push(currentBadWeather);
-        }
+        map.addLayer({
+            id: layerId,
+            type: 'line',
+            source: layerId,
+            layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            paint: {
+                'line-color': '#6b7280',
+                'line-width': 7,
+                'line-opacity': 0.45
+            }
+        }, map.getLayer('route-outline') ? 'route-outline' : undefined);
         
-        // Format alerts
-        if (alerts.length === 0) {
-            summaryHTML = '<div style="color: #4ade80; font-weight: 500;">✓ Good conditions throughout route</div>';
-        } else {
-            summaryHTML = alerts.map(alert => {
-                const startMile = alert.startMile.toFixed(0);
-                const endMile = alert.endMile.toFixed(0);
-                const startTime = alert.startTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-                const endTime = alert.endTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-                
-                // Choose emoji based on condition
-                let emoji = '⚠️';
-                if (alert.condition.toLowerCase().includes('rain')) {
-                    emoji = '🌧️';
-                } else if (alert.condition.toLowerCase().includes('snow')) {
-                    emoji = '❄️';
-                } else if (alert.condition.toLowerCase().includes('fog')) {
-                    emoji = '🌫️';
-                } else if (alert.condition.toLowerCase().includes('thunder')) {
-                    emoji = '⛈️';
-                }
-                
-                return `<div style="margin: 4px 0;">${emoji} ${alert.condition} from mile ${startMile} (${startTime}) to mile ${endMile} (${endTime})</div>`;
-            }).join('');
+        // Click a dimmed route to select it
+        if (!boundAlternativeLayers.has(layerId)) {
+            boundAlternativeLayers.add(layerId);
+            
+            map.on('click', layerId, (e) => {
+                selectRouteAlternative(e.features[0].properties.index);
+            });
+            map.on('mouseenter', layerId, () => {
+                map.getCanvas().style.cursor = 'pointer';
+            });
+            map.on('mouseleave', layerId, () => {
+                map.getCanvas().style.cursor = '';
+            });
         }
+    });
+}
+
+// Show distance, duration and bad-weather distance for each route option
+function displayRouteComparison() {
+    const panels = [
+        document.getElementById('routeComparison'),
+        document.getElementById('routeComparisonMobile')
+    ];
+    
+    if (routeAlternatives.length < 2) {
+        panels.forEach(panel => panel && panel.classList.add('hidden'));
+        return;
     }
     
-    // Update desktop route info
-    const distance = document.getElementById('distance');
-    const duration = document.getElementById('duration');
-    const weatherModalContent = document.getElementById('weatherModalContent');
-    const routeInfo = document.getElementById('routeInfo');
-    const navigateSection = document.getElementById('navigateSection');
-    const saveRouteBtn = document.getElementById('saveRouteBtn');
-    const clearRouteBtn = document.getElementById('clearRouteBtn');
+    const html = '<h4 class="route-comparison-title">Route Options</h4>' + routeAlternatives.map(({ route, weatherData }, i) => {
+        const badWeather = summarizeBadWeatherDistance(weatherData, route.distance);
+        const isSelected = i === selectedRouteIndex;
+        
+        const weatherParts = [
+            badWeather.rain > 0 ? `🌧️ ${formatDistance(badWeather.rain, 0)}` : '',
+            badWeather.snow > 0 ? `❄️ ${formatDistance(badWeather.snow, 0)}` : '',
+            badWeather.fog > 0 ? `🌫️ ${formatDistance(badWeather.fog, 0)}` : '',
+            badWeather.thunderstorm > 0 ? `⛈️ ${formatDistance(badWeather.thunderstorm, 0)}` : ''
+        ].filter(Boolean);
+        const weatherText = weatherParts.length > 0 ? weatherParts.join(' · ') : '✓ No bad weather';
+        
+        return `
+            <div class="route-option${isSelected ? ' selected' : ''}">
+                <div class="route-option-info">
+                    <div class="route-option-name">Route ${String.fromCharCode(65 + i)}</div>
+                    <div class="route-option-details">${formatDistance(route.distance)} · ${formatDuration(route.duration)}</div>
+                    <div class="route-option-weather">${weatherText}</div>
+                </div>
+                ${isSelected
+                    ? '<span class="route-option-selected">Selected</span>'
+                    : `<button class="saved-route-btn load-btn" onclick="selectRouteAlternative(${i})">Select</button>`}
+            </div>
+        `;
+    }).join('');
     
-    if (distance) distance.textContent = distanceText;
-    if (duration) duration.textContent = durationText;
-    if (weatherModalContent) weatherModalContent.innerHTML = summaryHTML;
-    if (routeInfo) routeInfo.classList.remove('hidden');
-    if (navigateSection) navigateSection.classList.remove('hidden');
-    if (saveRouteBtn) saveRouteBtn.classList.remove('hidden');
-    if (clearRouteBtn) clearRouteBtn.classList.remove('hidden');
+    panels.forEach(panel => {
+        if (!panel) return;
+        panel.innerHTML = html;
+        panel.classList.remove('hidden');
+    });
+}
+
+// Switch the highlighted route to another option
+function selectRouteAlternative(index) {
+    const alternative = routeAlternatives[index];
+    if (!alternative || index === selectedRouteIndex) return;
     
-    // Update mobile route info (shares same weather modal)
-    const distanceMobile = document.getElementById('distanceMobile');
-    const durationMobile = document.getElementById('durationMobile');
-    const routeInfoMobile = document.getElementById('routeInfoMobile');
-    const navigateSectionMobile = document.getElementById('navigateSectionMobile');
-    const saveRouteBtnMobile = document.getElementById('saveRouteBtnMobile');
-    const clearRouteBtnMobile = document.getElementById('clearRouteBtnMobile');
+    selectedRouteIndex = index;
+    const { route, weatherData } = alternative;
     
-    if (distanceMobile) distanceMobile.textContent = distanceText;
-    if (durationMobile) durationMobile.textContent = durationText;
-    if (routeInfoMobile) routeInfoMobile.classList.remove('hidden');
-    if (navigateSectionMobile) navigateSectionMobile.classList.remove('hidden');
-    if (saveRouteBtnMobile) saveRouteBtnMobile.classList.remove('hidden');
-    if (clearRouteBtnMobile) clearRouteBtnMobile.classList.remove('hidden');
+    clearMap();
+    displayRouteWithWeather(route, weatherData);
+    displayAlternativeRoutes();
+    displayRouteInfo(route, weatherData, false);
+    displayRouteComparison();
+    
+    currentRouteData = { route };
+    
+    const cached = JSON.parse(sessionStorage.getItem('cachedRoute') || 'null');
+    saveRouteToCache({
+        route,
+        weatherData,
+        addresses: currentRouteAddresses,
+        departureTime: cached ? cached.departureTime : document.getElementById('departureTime')?.value,
+        alternatives: routeAlternatives,
+        selectedRouteIndex
+    });
 }
 
-// Clear map of route and markers
-function clearMap() {
-    weatherMarkers.forEach(marker => marker.remove());
-    weatherMarkers = [];
+// Format a duration in seconds as "Xh Ym"
+function formatDuration(seconds) {
+    const durationMin = Math.round(seconds / 60);
+    const hours = Math.floor(durationMin / 60);
+    const minutes = durationMin % 60;
     
-    // Remove old route segments
-    for (let i = 0; i < 100; i++) {
-        if (map.getLayer(`route-segment-${i}`)) {
-            map.removeLayer(`route-segment-${i}`);
-        }
-        if (map.getSource(`route-segment-${i}`)) {
-            map.removeSource(`route-segment-${i}`);
-        }
-    }
+    return hours > 0 
+        ? `${hours}h ${minutes}m` 
+        : `${minutes}m`;
+}
+
+// Total distance (meters) of each bad-weather type along a route
+// Only forecast weather codes count; 'Rain likely' is a chance, not rain, so it is left out
+function summarizeBadWeatherDistance(weatherData, totalDistance) {
+    const totals = { rain: 0, snow: 0, fog: 0, thunderstorm: 0 };
     
-    // Remove outline layer
-    if (map.getLayer('route-outline')) {
-        map.removeLayer('route-outline');
+    mergeWeatherAlerts(weatherData, totalDistance, w => getWeatherCategory(w.weatherCode)).forEach(alert => {
+        const condition = alert.condition.toLowerCase();
+        const length = alert.endDistance - alert.startDistance;
+        
+        if (condition.includes('rain')) totals.rain += length;
+        else if (condition.includes('snow')) totals.snow += length;
+        else if (condition.includes('fog')) totals.fog += length;
+        else if (condition.includes('thunder')) totals.thunderstorm += length;
+    });
+    
+    return totals;
+}
+
+// Route-wide extremes for the weather summary (feels-like range, gusts, visibility, precipitation chance, snowfall)
+function buildWeatherStatsHTML(weatherData) {
+    const values = (key) => weatherData.map(w => w[key]).filter(v => typeof v === 'number');
+    
+    const feelsLike = values('apparentTemperature');
+    const gusts = values('windGusts');
+    const visibility = values('visibility');
+    const probability = values('precipitationProbability');
+    const snowfall = values('snowfall');
+    
+    const stats = [];
+    if (feelsLike.length > 0) {
+        stats.push(`🌡️ Feels like ${formatTemperature(Math.min(...feelsLike))} to ${formatTemperature(Math.max(...feelsLike))}`);
     }
-    if (map.getSource('route-outline')) {
-        map.removeSource('route-outline');
+    if (gusts.length > 0) {
+        stats.push(`💨 Gusts up to ${formatSpeed(Math.max(...gusts))}`);
     }
-    
-    // Remove old single route layer (legacy)
-    if (map.getLayer('route')) {
-        map.removeLayer('route');
+    if (visibility.length > 0) {
+        stats.push(`👁️ Visibility down to ${formatDistance(Math.min(...visibility))}`);
     }
-    if (map.getSource('route')) {
-        map.removeSource('route');
+    if (probability.length > 0) {
+        stats.push(`☔ Precipitation chance up to ${Math.max(...probability)}%`);
     }
+    if (snowfall.some(v => v > 0)) {
+        stats.push(`❄️ Up to ${formatSnowfall(Math.max(...snowfall))} of snow per hour`);
+    }
+    
+    if (stats.length === 0) return '';
+    
+    return `<div class="weather-stats">${stats.map(stat => `<div>${stat}</div>`).join('')}</div>`;
 }
 
-// UI helper functions
-function showLoading(show, isMobile = false) {
-    const loadingId = isMobile ? 'loadingMobile' : 'loading';
-    const btnId = isMobile ? 'submitBtnMobile' : 'submitBtn';
+// Trip playback - a vehicle marker driven along the route on the same clock as the forecasts
+let playback = null; // { route, weatherData, anchors, startTime, endTime, currentTime, playing, speed, frame, lastFrame }
+let vehicleMarker = null;
+
+function setupTimeline(route, weatherData) {
+    const timeline = document.getElementById('timeline');
+    if (!timeline || weatherData.length < 2) return;
     
-    const loadingEl = document.getElementById(loadingId);
-    const btnEl = document.getElementById(btnId);
+    const startTime = weatherData[0].time.getTime();
+    const endTime = weatherData[weatherData.length - 1].time.getTime();
     
-    if (loadingEl) loadingEl.classList.toggle('hidden', !show);
-    if (btnEl) btnEl.disabled = show;
+    // Keep the current position when the same trip is only being re-rendered
+    const keepPosition = playback && playback.startTime === startTime && playback.endTime === endTime;
+    const currentTime = keepPosition ? playback.currentTime : startTime;
+    stopPlayback();
+    
+    // Geometry index of each weather point, so positions follow the road between points
+    const routeCoords = route.geometry.coordinates;
+    const anchors = weatherData.map(w => findClosestPointIndex(routeCoords, w.coords));
+    
+    playback = {
+        route,
+        weatherData,
+        anchors,
+        startTime,
+        endTime,
+        currentTime,
+        playing: false,
+        speed: parseInt(document.getElementById('timelineSpeed')?.value, 10) || 300,
+        frame: null,
+        lastFrame: null
+    };
+    
+    timeline.classList.remove('hidden');
+    updateTimelinePosition();
 }
 
-function showError(message, isMobile = false) {
-    const errorId = isMobile ? 'errorMobile' : 'error';
-    const errorDiv = document.getElementById(errorId);
+function hideTimeline() {
+    stopPlayback();
+    playback = null;
     
-    if (errorDiv) {
-        errorDiv.textContent = message;
-        errorDiv.classList.remove('hidden');
+    const timeline = document.getElementById('timeline');
+    if (timeline) timeline.classList.add('hidden');
+    
+    if (vehicleMarker) {
+        vehicleMarker.remove();
+        vehicleMarker = null;
     }
 }
 
-function hideError(isMobile = false) {
-    const errorId = isMobile ? 'errorMobile' : 'error';
-    const errorDiv = document.getElementById(errorId);
-    
-    if (errorDiv) errorDiv.classList.add('hidden');
+// Index of the weather point whose segment contains the given time
+function getPlaybackSegmentIndex(time) {
+    const { weatherData } = playback;
+    let index = 0;
+    while (index < weatherData.length - 2 && weatherData[index + 1].time.getTime() <= time) {
+        index++;
+    }
+    return index;
 }
 
-function hideRouteInfo(isMobile = false) {
-    const routeInfoId = isMobile ? 'routeInfoMobile' : 'routeInfo';
-    const navigateSectionId = isMobile ? 'navigateSectionMobile' : 'navigateSection';
+// Position along the road at a given time, interpolated between the surrounding weather points
+function getPlaybackPosition(time) {
+    const { route, weatherData, anchors } = playback;
+    const coords = route.geometry.coordinates;
+    const index = getPlaybackSegmentIndex(time);
     
-    const routeInfo = document.getElementById(routeInfoId);
-    const navigateSection = document.getElementById(navigateSectionId);
+    const segmentStart = weatherData[index].time.getTime();
+    const segmentEnd = weatherData[index + 1].time.getTime();
+    const fraction = segmentEnd > segmentStart ? Math.min(1, Math.max(0, (time - segmentStart) / (segmentEnd - segmentStart))) : 0;
     
-    if (routeInfo) routeInfo.classList.add('hidden');
-    if (navigateSection) navigateSection.classList.add('hidden');
+    const from = anchors[index];
+    const to = Math.max(from, anchors[index + 1]);
+    if (to === from) return coords[from];
+    
+    // Walk the geometry between the anchors by distance
+    const lengths = [];
+    let total = 0;
+    for (let i = from; i < to; i++) {
+        const length = Math.hypot(coords[i + 1][0] - coords[i][0], coords[i + 1][1] - coords[i][1]);
+        lengths.push(length);
+        total += length;
+    }
+    
+    let remaining = fraction * total;
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] || i === lengths.length - 1) {
+            const t = lengths[i] > 0 ? Math.min(1, remaining / lengths[i]) : 0;
+            const [lon1, lat1] = coords[from + i];
+            const [lon2, lat2] = coords[from + i + 1];
+            return [lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t];
+        }
+        remaining -= lengths[i];
+    }
+    
+    return coords[to];
 }
 
-
-// Toggle collapsible sections (mobile only)
-function toggleSection(contentId) {
-    // Only work on mobile
-    if (window.innerWidth > 768) return;
+// Move the vehicle marker and refresh the slider and readout
+function updateTimelinePosition() {
+    if (!playback) return;
     
-    const content = document.getElementById(contentId);
-    const header = content.previousElementSibling;
+    const { startTime, endTime, currentTime, weatherData } = playback;
+    const position = getPlaybackPosition(currentTime);
+    const w = weatherData[getPlaybackSegmentIndex(currentTime)];
     
-    if (header.classList.contains('collapsed')) {
-        // Open
-        header.classList.remove('collapsed');
-        content.style.maxHeight = content.scrollHeight + 'px';
-    } else {
-        // Close
-        header.classList.add('collapsed');
-        content.style.maxHeight = '0';
+    if (!vehicleMarker) {
+        const el = document.createElement('div');
+        el.className = 'vehicle-marker';
+        el.textContent = '🚗';
+        vehicleMarker = new mapboxgl.Marker({ element: el });
+    }
+    vehicleMarker.setLngLat(position).addTo(map);
+    
+    const slider = document.getElementById('timelineSlider');
+    if (slider) {
+        slider.value = endTime > startTime ? Math.round(((currentTime - startTime) / (endTime - startTime)) * 1000) : 0;
+    }
+    
+    const readout = document.getElementById('timelineReadout');
+    if (readout) {
+        const time = new Date(currentTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const marker = typeof w.distanceFromStart === 'number' ? ` · ${formatDistanceMarker(w.distanceFromStart)}` : '';
+        readout.textContent = `${time}${marker} · ${formatTemperature(w.temperature)} · ${getWeatherDescription(w.weatherCode)}`;
     }
 }
 
-// Initialize collapsible sections on page load
-window.addEventListener('DOMContentLoaded', () => {
-    setDefaultDepartureTime();
+function togglePlayback() {
+    if (!playback) return;
     
-    if (window.innerWidth <= 768) {
-        // Start with sections collapsed on mobile
-        const sections = ['routeInfoContent', 'legendContent'];
-        sections.forEach(id => {
-            const content = document.getElementById(id);
-            if (content) {
-                const header = content.previousElementSibling;
-                header.classList.add('collapsed');
-                content.style.maxHeight = '0';
-            }
-        });
+    if (playback.playing) {
+        stopPlayback();
+        return;
     }
-});
+    
+    // Start over when already at the end
+    if (playback.currentTime >= playback.endTime) {
+        playback.currentTime = playback.startTime;
+    }
+    
+    playback.playing = true;
+    playback.lastFrame = null;
+    setPlayButtonLabel(true);
+    playback.frame = requestAnimationFrame(stepPlayback);
+}
 
-// Reset collapse state when window is resized
-window.addEventListener('resize', () => {
-    const sections = ['routeInfoContent', 'legendContent'];
-    sections.forEach(id => {
-        const content = document.getElementById(id);
-        if (!content) return; // Skip if element doesn't exist
-        
-        const header = content.previousElementSibling;
-        if (!header) return; // Skip if no header found
-        
-        if (window.innerWidth > 768) {
-            // Desktop: remove collapsed state and clear inline styles
-            header.classList.remove('collapsed');
-            content.style.maxHeight = '';
-        } else if (!header.classList.contains('collapsed')) {
-            // Mobile and currently open: set max-height
-            content.style.maxHeight = content.scrollHeight + 'px';
-        }
-    });
-});
+function stopPlayback() {
+    if (!playback) return;
+    
+    playback.playing = false;
+    if (playback.frame) cancelAnimationFrame(playback.frame);
+    playback.frame = null;
+    setPlayButtonLabel(false);
+}
 
-// Toggle drawer for mobile
-function toggleDrawer() {
-    if (window.innerWidth <= 768) {
-        const sidebar = document.querySelector('.sidebar');
-        sidebar.classList.toggle('closed');
+function setPlayButtonLabel(playing) {
+    const button = document.getElementById('timelinePlayBtn');
+    if (button) {
+        button.textContent = playing ? '⏸' : '▶';
+        button.title = playing ? 'Pause' : 'Play';
     }
 }
 
-// Swipe gesture support for drawer
-let touchStartY = 0;
-let touchEndY = 0;
-let isDragging = false;
-
-function initDrawerSwipe() {
-    const sidebar = document.querySelector('.sidebar');
-    const sidebarHeader = document.querySelector('.sidebar-header');
+// Advance simulated time by `speed` trip-seconds per real second
+function stepPlayback(timestamp) {
+    if (!playback || !playback.playing) return;
     
-    if (!sidebar || !sidebarHeader) return;
+    if (playback.lastFrame !== null) {
+        const elapsed = (timestamp - playback.lastFrame) * playback.speed;
+        playback.currentTime = Math.min(playback.endTime, playback.currentTime + elapsed);
+    }
+    playback.lastFrame = timestamp;
     
-    // Only enable on mobile
-    if (window.innerWidth > 768) return;
+    updateTimelinePosition();
     
-    sidebarHeader.addEventListener('touchstart', (e) => {
-        touchStartY = e.touches[0].clientY;
-        isDragging = true;
-        sidebar.style.transition = 'none';
-    }, { passive: true });
-    
-    sidebarHeader.addEventListener('touchmove', (e) => {
-        if (!isDragging) return;
-        
-        touchEndY = e.touches[0].clientY;
-        const deltaY = touchEndY - touchStartY;
-        
-        const isClosed = sidebar.classList.contains('closed');
-        
-        if (!isClosed) {
-            // When open (at translateY(0)), allow dragging down
-            if (deltaY > 0) {
-                sidebar.style.transform = `translateY(${deltaY}px)`;
-            }
-        } else {
-            // When closed (at translateY(calc(100% - 100px))), allow dragging up
-            if (deltaY < 0) {
-                // Start from closed position and move up as user drags
-                const sidebarHeight = sidebar.offsetHeight;
-                const closedOffset = sidebarHeight - 100; // The "100% - 100px" in pixels
-                const dragAmount = Math.abs(deltaY);
-                const newOffset = Math.max(0, closedOffset - dragAmount);
-                sidebar.style.transform = `translateY(${newOffset}px)`;
-            }
-        }
-    }, { passive: true });
-    
-    const handleTouchEnd = () => {
-        if (!isDragging) return;
-        
-        isDragging = false;
-        sidebar.style.transition = '';
-        sidebar.style.transform = '';
-        
-        const swipeDistance = Math.abs(touchEndY - touchStartY);
-        const deltaY = touchEndY - touchStartY;
-        const threshold = 50; // Minimum swipe distance in pixels
-        
-        const isClosed = sidebar.classList.contains('closed');
-        
-        if (deltaY < 0 && isClosed && swipeDistance > threshold) {
-            // Swipe up when closed - open drawer
-            sidebar.classList.remove('closed');
-        } else if (deltaY > 0 && !isClosed && swipeDistance > threshold) {
-            // Swipe down when open - close drawer
-            sidebar.classList.add('closed');
-        }
-        
-        // Reset
-        touchStartY = 0;
-        touchEndY = 0;
-    };
-    
-    sidebarHeader.addEventListener('touchend', handleTouchEnd, { passive: true });
-    sidebarHeader.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+    if (playback.currentTime >= playback.endTime) {
+        stopPlayback();
+        return;
+    }
+    playback.frame = requestAnimationFrame(stepPlayback);
 }
 
-// Initialize drawer swipe on load
-if (window.innerWidth <= 768) {
-    initDrawerSwipe();
+// Dragging the slider jumps to that moment of the trip
+function seekTimeline(value) {
+    if (!playback) return;
+    
+    playback.currentTime = playback.startTime + (value / 1000) * (playback.endTime - playback.startTime);
+    updateTimelinePosition();
 }
 
-// Re-initialize on resize
-window.addEventListener('resize', () => {
-    if (window.innerWidth <= 768) {
-        initDrawerSwipe();
-    }
-});
-
-// Toggle legend modal
-function toggleLegendModal() {
-    const modal = document.getElementById('legendModal');
-    modal.classList.toggle('hidden');
+function setPlaybackSpeed(value) {
+    if (playback) playback.speed = parseInt(value, 10);
 }
 
-// Toggle weather modal
-function toggleWeatherModal() {
-    const modal = document.getElementById('weatherModal');
-    modal.classList.toggle('hidden');
-}
+// Precipitation grid - coarse forecast cells around the route at a chosen hour
+const precipitationGrid = {
+    enabled: false,
+    hourOffset: 0, // Hours after startHour
+    startHour: null, // Date at the top of the first selectable hour
+    requestId: 0,
+    debounce: null
+};
+const PRECIPITATION_GRID_COLUMNS = 10;
 
-// Toggle navigate menu
-function toggleNavigateMenu() {
-    const menu = document.getElementById('navigateMenu');
-    const menuMobile = document.getElementById('navigateMenuMobile');
+function togglePrecipitationGrid() {
+    precipitationGrid.enabled = !precipitationGrid.enabled;
     
-    if (menu) menu.classList.toggle('hidden');
-    if (menuMobile) menuMobile.classList.toggle('hidden');
+    const controls = document.getElementById('gridControls');
+    const menuState = document.getElementById('gridMenuState');
+    if (controls) controls.classList.toggle('hidden', !precipitationGrid.enabled);
+    if (menuState) menuState.textContent = precipitationGrid.enabled ? 'On' : 'Off';
+    
+    if (precipitationGrid.enabled) {
+        resetPrecipitationGridHours();
+        refreshPrecipitationGrid();
+    } else {
+        removePrecipitationGridLayer();
+    }
 }
 
-// Open route in Apple Maps
-function openInAppleMaps() {
-    const { start, end } = currentRouteAddresses;
-    const url = `https://maps.apple.com/?saddr=${encodeURIComponent(start)}&daddr=${encodeURIComponent(end)}`;
-    window.open(url, '_blank');
+// Slider covers the trip plus a few hours either side, or the next day without a route
+// A chosen hour that still falls inside the new range stays selected (re-renders, unit changes)
+function resetPrecipitationGridHours() {
+    const selectedTime = precipitationGrid.startHour ? getPrecipitationGridTime().getTime() : null;
+    const slider = document.getElementById('gridHourSlider');
+    const trip = routeAlternatives[selectedRouteIndex];
+    
+    let start = new Date();
+    let hours = 24;
+    if (trip) {
+        const times = trip.weatherData.map(w => w.time.getTime());
+        start = new Date(Math.min(...times) - 3 * 3600000);
+        hours = Math.ceil((Math.max(...times) - start.getTime()) / 3600000) + 3;
+    }
+    start.setMinutes(0, 0, 0);
+    
+    const selectedOffset = selectedTime === null ? -1 : Math.round((selectedTime - start.getTime()) / 3600000);
+    
+    precipitationGrid.startHour = start;
+    precipitationGrid.hourOffset = selectedOffset >= 0 && selectedOffset <= hours ? selectedOffset : (trip ? 3 : 0);
+    
+    if (slider) {
+        slider.max = hours;
+        slider.value = precipitationGrid.hourOffset;
+    }
+    updatePrecipitationGridLabel();
 }
 
-// Open route in Waze
-function openInWaze() {
-    const { endCoords } = currentRouteAddresses;
-    const url = `https://waze.com/ul?ll=${endCoords[1]},${endCoords[0]}&navigate=yes`;
-    window.open(url, '_blank');
+function getPrecipitationGridTime() {
+    return new Date(precipitationGrid.startHour.getTime() + precipitationGrid.hourOffset * 3600000);
 }
 
-// Open route in Google Maps
-function openInGoogleMaps() {
-    const { start, end } = currentRouteAddresses;
-    const url = `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(start)}&destination=${encodeURIComponent(end)}`;
-    window.open(url, '_blank');
+function updatePrecipitationGridLabel() {
+    const label = document.getElementById('gridHourLabel');
+    if (!label || !precipitationGrid.startHour) return;
+    
+    label.textContent = getPrecipitationGridTime().toLocaleString([], { weekday: 'short', hour: 'numeric' });
 }
 
-// Clear input field
-function clearInput(inputId) {
-    const input = document.getElementById(inputId);
-    if (input) {
-        input.value = '';
-        input.focus();
-        // Trigger input event to hide autocomplete if open
-        input.dispatchEvent(new Event('input'));
-    }
+// Debounced so dragging the slider doesn't fire a request per step
+function setPrecipitationGridHour(value) {
+    precipitationGrid.hourOffset = parseInt(value, 10);
+    updatePrecipitationGridLabel();
+    
+    clearTimeout(precipitationGrid.debounce);
+    precipitationGrid.debounce = setTimeout(refreshPrecipitationGrid, 300);
 }
 
-// Save route to sessionStorage
-function saveRouteToCache(data) {
-    try {
-        sessionStorage.setItem('cachedRoute', JSON.stringify(data));
-    } catch (e) {
-        console.error('Failed to cache route:', e);
+// Area to cover: the route's bounding box with some margin, or the visible map
+function getPrecipitationGridBounds() {
+    const trip = routeAlternatives[selectedRouteIndex];
+    if (!trip) {
+        const bounds = map.getBounds();
+        return { west: bounds.getWest(), south: bounds.getSouth(), east: bounds.getEast(), north: bounds.getNorth() };
     }
+    
+    const lons = trip.route.geometry.coordinates.map(c => c[0]);
+    const lats = trip.route.geometry.coordinates.map(c => c[1]);
+    const padLon = Math.max((Math.max(...lons) - Math.min(...lons)) * 0.15, 0.2);
+    const padLat = Math.max((Math.max(...lats) - Math.min(...lats)) * 0.15, 0.2);
+    
+    return {
+        west: Math.min(...lons) - padLon,
+        south: Math.min(...lats) - padLat,
+        east: Math.max(...lons) + padLon,
+        north: Math.max(...lats) + padLat
+    };
 }
 
-// Restore route from sessionStorage
-function restoreRouteFromCache() {
-    // Prevent multiple simultaneous restore attempts
-    if (isRestoringRoute) {
-        console.log('Restore already in progress, skipping...');
-        return;
+async function refreshPrecipitationGrid() {
+    if (!precipitationGrid.enabled || !map || !precipitationGrid.startHour) return;
+    
+    const requestId = ++precipitationGrid.requestId;
+    const { west, south, east, north } = getPrecipitationGridBounds();
+    const columns = PRECIPITATION_GRID_COLUMNS;
+    const rows = Math.min(14, Math.max(4, Math.round(columns * (north - south) / (east - west))));
+    const cellWidth = (east - west) / columns;
+    const cellHeight = (north - south) / rows;
+    const time = getPrecipitationGridTime();
+    
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            const cellWest = west + col * cellWidth;
+            const cellSouth = south + row * cellHeight;
+            cells.push({ west: cellWest, south: cellSouth, lon: cellWest + cellWidth / 2, lat: cellSouth + cellHeight / 2 });
+        }
     }
     
     try {
-        const cached = sessionStorage.getItem('cachedRoute');
-        if (!cached) {
-            console.log('No cached route found');
-            return;
-        }
-        
-        // Check if map is ready
-        if (!map) {
-            console.log('Map not initialized, cannot restore');
-            return;
-        }
-        
-        // Check if route is already displayed
-        if (map.getSource('route-segment-0')) {
-            console.log('Route already displayed, skipping restore');
-            return;
-        }
-        
-        if (!map.loaded() || !map.isStyleLoaded()) {
-            console.log('Map not ready, will retry...');
-            setTimeout(restoreRouteFromCache, 300);
-            return;
-        }
-        
-        isRestoringRoute = true;
-        console.log('Starting route restoration...');
-        
-        const { route, weatherData, addresses, departureTime } = JSON.parse(cached);
-        
-        // Convert time strings back to Date objects
-        weatherData.forEach(w => {
-            w.time = new Date(w.time);
+        const response = await fetch('/api/weather', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ points: cells.map(cell => ({ lat: cell.lat, lon: cell.lon, time })) })
         });
+        if (!response.ok) throw new Error('Failed to fetch grid weather');
         
-        // Restore addresses
-        currentRouteAddresses = addresses;
-        
-        // Restore form values
-        const startInput = document.getElementById('startLocation');
-        const endInput = document.getElementById('endLocation');
-        const departureInput = document.getElementById('departureTime');
-        const startInputMobile = document.getElementById('startLocationMobile');
-        const endInputMobile = document.getElementById('endLocationMobile');
-        const departureInputMobile = document.getElementById('departureTimeMobile');
-        
-        if (startInput) startInput.value = addresses.start;
-        if (endInput) endInput.value = addresses.end;
-        if (departureInput) departureInput.value = departureTime;
-        if (startInputMobile) startInputMobile.value = addresses.start;
-        if (endInputMobile) endInputMobile.value = addresses.end;
-        if (departureInputMobile) departureInputMobile.value = departureTime;
+        const { weather } = await response.json();
         
-        // Clear existing route layers first
-        try {
-            clearMap();
-        } catch (e) {
-            console.warn('Error clearing map:', e);
-        }
+        // A newer request, or the grid being switched off, wins
+        if (requestId !== precipitationGrid.requestId || !precipitationGrid.enabled) return;
         
-        // Wait a frame for map to be ready
-        requestAnimationFrame(() => {
-            try {
-                // Restore map and UI
-                displayRouteWithWeather(route, weatherData);
-                displayRouteInfo(route, weatherData, false);
-                
-                // Set currentRouteData for saving functionality
-                currentRouteData = {
-                    route,
-                    distance: `${(route.distance / 1609.34).toFixed(1)} miles`
-                };
-                
-                console.log('✓ Route successfully restored from cache');
-            } catch (e) {
-                console.error('Error displaying route:', e);
-            } finally {
-                isRestoringRoute = false;
+        const features = cells.map((cell, i) => ({
+            type: 'Feature',
+            properties: {
+                color: getWeatherColor(weather[i].weatherCode, weather[i].precipitation),
+                // Dry cells stay faint, wetter cells get more opaque
+                opacity: weather[i].weatherCode <= 3 ? 0.08 : 0.25 + Math.min(weather[i].precipitation / 5, 1) * 0.35
+            },
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[
+                    [cell.west, cell.south],
+                    [cell.west + cellWidth, cell.south],
+                    [cell.west + cellWidth, cell.south + cellHeight],
+                    [cell.west, cell.south + cellHeight],
+                    [cell.west, cell.south]
+                ]]
             }
-        });
+        }));
         
-    } catch (e) {
-        console.error('Failed to restore route:', e);
-        sessionStorage.removeItem('cachedRoute');
-        isRestoringRoute = false;
+        drawPrecipitationGrid({ type: 'FeatureCollection', features });
+    } catch (error) {
+        console.error('Precipitation grid error:', error);
     }
 }
 
-// Listen for page visibility changes to restore route
-document.addEventListener('visibilitychange', () => {
-    if (!document.hidden && map) {
-        // Page became visible - wait a bit for map to be ready, then restore
-        setTimeout(() => {
-            restoreRouteFromCache();
-        }, 100);
-    }
-});
-
-// Restore route on initial page load
-window.addEventListener('load', () => {
-    // Check if there's a cached route and close drawer if so
-    if (window.innerWidth <= 768) {
-        const cached = sessionStorage.getItem('cachedRoute');
-        const sidebar = document.querySelector('.sidebar');
-        
-        if (cached && sidebar) {
-            // There's a cached route, start with drawer closed
-            sidebar.classList.add('closed');
-        }
-        // If no cached route, drawer stays open (default state)
+// Draw the grid beneath every route layer
+function drawPrecipitationGrid(data) {
+    if (map.getSource('precipitation-grid')) {
+        map.getSource('precipitation-grid').setData(data);
+        return;
     }
     
-    // Wait for map to be fully initialized
-    const checkMapReady = setInterval(() => {
-        if (map && map.loaded()) {
-            clearInterval(checkMapReady);
-            restoreRouteFromCache();
+    const firstRouteLayer = map.getStyle().layers.find(layer => layer.id.startsWith('route-'));
+    
+    map.addSource('precipitation-grid', { type: 'geojson', data });
+    map.addLayer({
+        id: 'precipitation-grid',
+        type: 'fill',
+        source: 'precipitation-grid',
+        paint: {
+            'fill-color': ['get', 'color'],
+            'fill-opacity': ['get', 'opacity'],
+            'fill-antialias': false
         }
-    }, 100);
-});
+    }, firstRouteLayer ? firstRouteLayer.id : undefined);
+}
 
-// Clear route, cache, and inputs
-function clearRoute() {
-    // Confirm before clearing
-    if (!confirm('Are you sure you want to clear this route?')) return;
-    
-    // Clear sessionStorage
-    sessionStorage.removeItem('cachedRoute');
+function removePrecipitationGridLayer() {
+    // Also discards any grid request still in flight
+    precipitationGrid.requestId++;
     
-    // Clear all inputs
-    const inputs = [
-        'startLocation',
-        'endLocation',
-        'departureTime',
-        'startLocationMobile',
-        'endLocationMobile',
-        'departureTimeMobile'
-    ];
+    if (map.getLayer('precipitation-grid')) {
+        map.removeLayer('precipitation-grid');
+    }
+    if (map.getSource('precipitation-grid')) {
+        map.removeSource('precipitation-grid');
+    }
+}
+
+// Official alerts - watches and warnings from the server's alert feed that we drive through while active
+const OFFICIAL_ALERT_COLORS = {
+    Extreme: '#7f1d1d',
+    Severe: '#dc2626',
+    Moderate: '#ec4899',
+    Minor: '#a855f7',
+    Unknown: '#a855f7'
+};
+const ALERT_POINTS_PER_SAMPLE = 5; // Check about every kilometer between 5km weather samples
+let officialAlerts = { weatherData: null, points: [], alerts: [] };
+let officialAlertLayerBound = false;
+
+// Severity comes from the feed, so only our own keys count
+function getOfficialAlertColor(severity) {
+    return Object.hasOwn(OFFICIAL_ALERT_COLORS, severity) ? OFFICIAL_ALERT_COLORS[severity] : OFFICIAL_ALERT_COLORS.Unknown;
+}
+
+// Route points with distance and time, denser than the weather samples so small polygons aren't skipped
+function buildAlertCheckPoints(weatherData) {
+    const points = [];
     
-    inputs.forEach(id => {
-        const input = document.getElementById(id);
-        if (input) input.value = '';
+    weatherData.forEach((w, i) => {
+        const next = weatherData[i + 1];
+        if (!next) {
+            points.push({ coords: w.coords, distanceFromStart: w.distanceFromStart, time: w.time });
+            return;
+        }
+        
+        for (let step = 0; step < ALERT_POINTS_PER_SAMPLE; step++) {
+            const t = step / ALERT_POINTS_PER_SAMPLE;
+            points.push({
+                coords: [w.coords[0] + (next.coords[0] - w.coords[0]) * t, w.coords[1] + (next.coords[1] - w.coords[1]) * t],
+                distanceFromStart: w.distanceFromStart + (next.distanceFromStart - w.distanceFromStart) * t,
+                time: new Date(w.time.getTime() + (next.time - w.time) * t)
+            });
+        }
     });
     
-    // Clear map
-    clearMap();
+    return points;
+}
+
+// Only asks the server again when the forecast itself changed (re-renders reuse the last answer)
+async function refreshOfficialAlerts(weatherData) {
+    if (officialAlerts.weatherData !== weatherData) {
+        const points = buildAlertCheckPoints(weatherData);
+        officialAlerts = { weatherData, points, alerts: [] };
+        
+        try {
+            const response = await fetch('/api/alerts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    points: points.map(point => ({ lat: point.coords[1], lon: point.coords[0], time: point.time }))
+                })
+            });
+            if (!response.ok) throw new Error('Failed to fetch official alerts');
+            
+            const { alerts } = await response.json();
+            
+            // Another route may have been drawn while we waited
+            if (officialAlerts.weatherData !== weatherData) return;
+            officialAlerts.alerts = alerts;
+        } catch (error) {
+            console.error('Official alerts error:', error);
+        }
+    }
     
-    // Hide route info and navigation sections
+    drawOfficialAlerts();
+    displayOfficialAlerts();
+}
+
+function drawOfficialAlerts() {
+    removeOfficialAlertLayers();
+    if (officialAlerts.alerts.length === 0) return;
+    
+    const data = {
+        type: 'FeatureCollection',
+        features: officialAlerts.alerts.map(alert => ({
+            type: 'Feature',
+            properties: {
+                event: alert.event,
+                headline: alert.headline || '',
+                color: getOfficialAlertColor(alert.severity)
+            },
+            geometry: alert.geometry
+        }))
+    };
+    
+    // Shaded areas sit under the route, like the precipitation grid
+    const firstRouteLayer = map.getStyle().layers.find(layer => layer.id.startsWith('route-'));
+    const beforeId = firstRouteLayer ? firstRouteLayer.id : undefined;
+    
+    map.addSource('official-alerts', { type: 'geojson', data });
+    map.addLayer({
+        id: 'official-alerts',
+        type: 'fill',
+        source: 'official-alerts',
+        paint: {
+            'fill-color': ['get', 'color'],
+            'fill-opacity': 0.15
+        }
+    }, beforeId);
+    map.addLayer({
+        id: 'official-alerts-outline',
+        type: 'line',
+        source: 'official-alerts',
+        paint: {
+            'line-color': ['get', 'color'],
+            'line-width': 2,
+            'line-dasharray': [2, 2]
+        }
+    }, beforeId);
+    
+    if (!officialAlertLayerBound) {
+        officialAlertLayerBound = true;
+        
+        map.on('click', 'official-alerts', (e) => {
+            // Route segments have their own popup
+            const onRoute = map.queryRenderedFeatures(e.point).some(feature => feature.layer.id.startsWith('route-segment-'));
+            if (onRoute) return;
+            
+            const { event, headline } = e.features[0].properties;
+            new mapboxgl.Popup()
+                .setLngLat(e.lngLat)
+                .setHTML(`<div style="padding: 8px;"><strong>⚠️ ${escapeXml(event)}</strong>${headline ? `<br>${escapeXml(headline)}` : ''}</div>`)
+                .addTo(map);
+        });
+    }
+}
+
+function removeOfficialAlertLayers() {
+    ['official-alerts-outline', 'official-alerts'].forEach(id => {
+        if (map.getLayer(id)) map.removeLayer(id);
+    });
+    if (map.getSource('official-alerts')) {
+        map.removeSource('official-alerts');
+    }
+}
+
+// Alert list in the weather summary modal, and a count on the Weather Summary buttons
+function displayOfficialAlerts() {
+    const { alerts, points } = officialAlerts;
+    const content = document.getElementById('officialAlertsContent');
+    
+    ['weatherSummaryBadge', 'weatherSummaryBadgeMobile'].forEach(id => {
+        const badge = document.getElementById(id);
+        if (!badge) return;
+        badge.textContent = alerts.length;
+        badge.classList.toggle('hidden', alerts.length === 0);
+    });
+    
+    if (!content) return;
+    if (alerts.length === 0) {
+        content.classList.add('hidden');
+        content.innerHTML = '';
+        return;
+    }
+    
+    const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    
+    content.innerHTML = '<h5 class="official-alerts-title">⚠️ Official Alerts on Your Route</h5>' + alerts.map(alert => {
+        const first = points[alert.firstPointIndex];
+        const last = points[alert.lastPointIndex];
+        const color = getOfficialAlertColor(alert.severity);
+        
+        return `
+            <div class="official-alert" style="border-left-color: ${color};">
+                <strong>${escapeXml(alert.event)}</strong>
+                <span class="official-alert-severity" style="color: ${color};">${escapeXml(alert.severity)}</span>
+                <div>From ${formatDistanceMarker(first.distanceFromStart)} (${formatTime(first.time)}) to ${formatDistanceMarker(last.distanceFromStart)} (${formatTime(last.time)})</div>
+                ${alert.ends ? `<div class="official-alert-meta">In effect until ${new Date(alert.ends).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}</div>` : ''}
+                ${alert.headline ? `<div class="official-alert-meta">${escapeXml(alert.headline)}</div>` : ''}
+                ${alert.description || alert.instruction ? `
+                    <details>
+                        <summary>Details</summary>
+                        ${alert.description ? `<p>${escapeXml(alert.description)}</p>` : ''}
+                        ${alert.instruction ? `<p>${escapeXml(alert.instruction)}</p>` : ''}
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+    content.classList.remove('hidden');
+}
+
+// Display route information in sidebar
+function displayRouteInfo(route, weatherData, isMobile = false) {
+    const distanceText = formatDistance(route.distance);
+    const durationText = formatDuration(route.duration);
+    
+    // Weather summary - smart display
+    const totalDistance = route.distance; // Meters
+    const alerts = buildWeatherAlerts(weatherData, totalDistance, getTravelModeSettings());
+    
+    let summaryHTML = buildWeatherStatsHTML(weatherData);
+    
+    // Format alerts
+    if (alerts.length === 0) {
+        summaryHTML += '<div style="color: #4ade80; font-weight: 500;">✓ Good conditions throughout route</div>';
+    } else {
+        summaryHTML += alerts.map(alert => {
+            const startMarker = formatDistanceMarker(alert.startDistance);
+            const endMarker = formatDistanceMarker(alert.endDistance);
+            const startTime = alert.startTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            const endTime = alert.endTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            
+            // Choose emoji based on condition
+            let emoji = '⚠️';
+            if (alert.condition.toLowerCase().includes('ice') || alert.condition.toLowerCase().includes('freezing')) {
+                emoji = '🧊';
+            } else if (alert.condition.toLowerCase().includes('rain')) {
+                emoji = '🌧️';
+            } else if (alert.condition.toLowerCase().includes('snow')) {
+                emoji = '❄️';
+            } else if (alert.condition.toLowerCase().includes('fog')) {
+                emoji = '🌫️';
+            } else if (alert.condition.toLowerCase().includes('thunder')) {
+                emoji = '⛈️';
+            } else if (alert.condition.toLowerCase().includes('visibility')) {
+                emoji = '👁️';
+            } else if (alert.condition.toLowerCase().includes('gust') || alert.condition.toLowerCase().includes('wind')) {
+                emoji = '💨';
+            } else if (alert.condition.toLowerCase().includes('night')) {
+                emoji = '🌙';
+            } else if (alert.condition.toLowerCase().includes('glare')) {
+                emoji = '😎';
+            }
+            
+            return `<div style="margin: 4px 0;">${emoji} ${alert.condition} from ${startMarker} (${startTime}) to ${endMarker} (${endTime})</div>`;
+        }).join('');
+    }
+    
+    // Update desktop route info
+    const distance = document.getElementById('distance');
+    const duration = document.getElementById('duration');
+    const weatherModalContent = document.getElementById('weatherModalContent');
     const routeInfo = document.getElementById('routeInfo');
-    const routeInfoMobile = document.getElementById('routeInfoMobile');
     const navigateSection = document.getElementById('navigateSection');
-    const navigateSectionMobile = document.getElementById('navigateSectionMobile');
     const saveRouteBtn = document.getElementById('saveRouteBtn');
-    const saveRouteBtnMobile = document.getElementById('saveRouteBtnMobile');
+    const shareRouteBtn = document.getElementById('shareRouteBtn');
     const clearRouteBtn = document.getElementById('clearRouteBtn');
+    
+    if (distance) distance.textContent = distanceText;
+    if (duration) duration.textContent = durationText;
+    if (weatherModalContent) weatherModalContent.innerHTML = summaryHTML;
+    if (routeInfo) routeInfo.classList.remove('hidden');
+    if (navigateSection) navigateSection.classList.remove('hidden');
+    if (saveRouteBtn) saveRouteBtn.classList.remove('hidden');
+    if (shareRouteBtn) shareRouteBtn.classList.remove('hidden');
+    if (clearRouteBtn) clearRouteBtn.classList.remove('hidden');
+    
+    // Update mobile route info (shares same weather modal)
+    const distanceMobile = document.getElementById('distanceMobile');
+    const durationMobile = document.getElementById('durationMobile');
+    const routeInfoMobile = document.getElementById('routeInfoMobile');
+    const navigateSectionMobile = document.getElementById('navigateSectionMobile');
+    const saveRouteBtnMobile = document.getElementById('saveRouteBtnMobile');
+    const shareRouteBtnMobile = document.getElementById('shareRouteBtnMobile');
     const clearRouteBtnMobile = document.getElementById('clearRouteBtnMobile');
     
+    if (distanceMobile) distanceMobile.textContent = distanceText;
+    if (durationMobile) durationMobile.textContent = durationText;
+    if (routeInfoMobile) routeInfoMobile.classList.remove('hidden');
+    if (navigateSectionMobile) navigateSectionMobile.classList.remove('hidden');
+    if (saveRouteBtnMobile) saveRouteBtnMobile.classList.remove('hidden');
+    if (shareRouteBtnMobile) shareRouteBtnMobile.classList.remove('hidden');
+    if (clearRouteBtnMobile) clearRouteBtnMobile.classList.remove('hidden');
+    
+    displayElevationProfile(weatherData);
+    displayForecastDiff();
+}
+
+// Elevation profile - weather colors painted under the terrain line, temperature on top
+const ELEVATION_CHART_IDS = ['elevationChart', 'elevationChartMobile'];
+let elevationProfileData = null; // { weatherData, cursorIndex }
+let elevationCursorMarker = null;
+
+function displayElevationProfile(weatherData) {
+    const hasElevation = weatherData.some(w => typeof w.elevation === 'number');
+    
+    ['elevationProfile', 'elevationProfileMobile'].forEach(id => {
+        const section = document.getElementById(id);
+        if (section) section.classList.toggle('hidden', !hasElevation);
+    });
+    
+    elevationProfileData = hasElevation ? { weatherData, cursorIndex: null } : null;
+    drawElevationProfiles();
+}
+
+function hideElevationProfile() {
+    elevationProfileData = null;
+    ['elevationProfile', 'elevationProfileMobile'].forEach(id => {
+        const section = document.getElementById(id);
+        if (section) section.classList.add('hidden');
+    });
+    if (elevationCursorMarker) {
+        elevationCursorMarker.remove();
+        elevationCursorMarker = null;
+    }
+}
+
+// Collapse or expand the profile (works on desktop too, unlike toggleSection)
+function toggleElevationProfile(sectionId) {
+    const section = document.getElementById(sectionId);
+    if (!section) return;
+    
+    section.classList.toggle('collapsed');
+    drawElevationProfiles();
+}
+
+function drawElevationProfiles() {
+    ELEVATION_CHART_IDS.forEach(id => {
+        const canvas = document.getElementById(id);
+        if (canvas && canvas.offsetParent !== null) drawElevationProfile(canvas);
+    });
+}
+
+// Horizontal position of each point: distance along the route, or evenly spaced for old caches
+function getProfileX(weatherData, index, width) {
+    const last = weatherData[weatherData.length - 1];
+    const w = weatherData[index];
+    
+    if (typeof w.distanceFromStart === 'number' && last.distanceFromStart > 0) {
+        return (w.distanceFromStart / last.distanceFromStart) * width;
+    }
+    return (index / Math.max(1, weatherData.length - 1)) * width;
+}
+
+function drawElevationProfile(canvas) {
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    
+    if (!elevationProfileData) return;
+    
+    const { weatherData, cursorIndex } = elevationProfileData;
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const textColor = prefersDark ? '#d1d5db' : '#374151';
+    const padTop = 20;
+    const padBottom = 16;
+    const plotHeight = height - padTop - padBottom;
+    
+    const elevations = weatherData.map(w => typeof w.elevation === 'number' ? w.elevation : 0);
+    const minElevation = Math.min(...elevations);
+    const maxElevation = Math.max(...elevations);
+    const elevationRange = Math.max(maxElevation - minElevation, 50);
+    const elevationY = (value) => padTop + plotHeight - ((value - minElevation) / elevationRange) * plotHeight;
+    
+    const temperatures = weatherData.map(w => w.temperature);
+    const minTemp = Math.min(...temperatures);
+    const tempRange = Math.max(Math.max(...temperatures) - minTemp, 5);
+    const temperatureY = (value) => padTop + plotHeight - ((value - minTemp) / tempRange) * plotHeight;
+    
+    const xs = weatherData.map((_, i) => getProfileX(weatherData, i, width));
+    
+    // Weather-colored fill under each stretch of the elevation line
+    for (let i = 0; i < weatherData.length - 1; i++) {
+        ctx.beginPath();
+        ctx.moveTo(xs[i], height - padBottom);
+        ctx.lineTo(xs[i], elevationY(elevations[i]));
+        ctx.lineTo(xs[i + 1], elevationY(elevations[i + 1]));
+        ctx.lineTo(xs[i + 1], height - padBottom);
+        ctx.closePath();
+        ctx.fillStyle = getWeatherColor(weatherData[i].weatherCode, weatherData[i].precipitation);
+        ctx.globalAlpha = 0.7;
+        ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+    
+    // Terrain line
+    ctx.beginPath();
+    xs.forEach((x, i) => i === 0 ? ctx.moveTo(x, elevationY(elevations[i])) : ctx.lineTo(x, elevationY(elevations[i])));
+    ctx.strokeStyle = prefersDark ? '#f3f4f6' : '#1f2937';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    
+    // Temperature line
+    ctx.beginPath();
+    xs.forEach((x, i) => i === 0 ? ctx.moveTo(x, temperatureY(temperatures[i])) : ctx.lineTo(x, temperatureY(temperatures[i])));
+    ctx.strokeStyle = '#ef4444';
+    ctx.setLineDash([4, 3]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    // Axis labels
+    ctx.fillStyle = textColor;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatElevation(maxElevation), 4, padTop - 6);
+    ctx.fillText(formatElevation(minElevation), 4, height - 3);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#ef4444';
+    ctx.fillText(`${formatTemperature(minTemp)}–${formatTemperature(minTemp + tempRange)}`, width - 4, height - 3);
+    
+    // Cursor with a readout for the hovered or clicked point
+    if (cursorIndex !== null) {
+        const w = weatherData[cursorIndex];
+        const x = xs[cursorIndex];
+        
+        ctx.beginPath();
+        ctx.moveTo(x, padTop);
+        ctx.lineTo(x, height - padBottom);
+        ctx.strokeStyle = textColor;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        const marker = typeof w.distanceFromStart === 'number' ? `${formatDistanceMarker(w.distanceFromStart)} · ` : '';
+        const elevation = typeof w.elevation === 'number' ? `${formatElevation(w.elevation)} · ` : '';
+        ctx.fillStyle = textColor;
+        ctx.textAlign = x > width / 2 ? 'right' : 'left';
+        ctx.fillText(`${marker}${elevation}${formatTemperature(w.temperature)} · ${getWeatherDescription(w.weatherCode)}`, x > width / 2 ? x - 4 : x + 4, padTop - 6);
+    }
+}
+
+// Move the chart cursor and the matching map marker
+function setElevationCursor(index, panMap = true) {
+    if (!elevationProfileData || index === null || index < 0) return;
+    
+    elevationProfileData.cursorIndex = index;
+    drawElevationProfiles();
+    
+    const coords = elevationProfileData.weatherData[index].coords;
+    if (!elevationCursorMarker) {
+        const el = document.createElement('div');
+        el.className = 'elevation-cursor-marker';
+        elevationCursorMarker = new mapboxgl.Marker({ element: el });
+    }
+    elevationCursorMarker.setLngLat(coords).addTo(map);
+    
+    if (panMap && !map.getBounds().contains(coords)) {
+        map.panTo(coords);
+    }
+}
+
+function findClosestProfileIndex(coords) {
+    if (!elevationProfileData) return null;
+    return findClosestPointIndex(elevationProfileData.weatherData.map(w => w.coords), coords);
+}
+
+// Hover the chart to highlight the matching spot on the map
+function bindElevationChart(canvasId) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+    
+    const pointerToIndex = (e) => {
+        if (!elevationProfileData) return null;
+        
+        const x = e.clientX - canvas.getBoundingClientRect().left;
+        const { weatherData } = elevationProfileData;
+        let closest = 0;
+        weatherData.forEach((_, i) => {
+            const px = getProfileX(weatherData, i, canvas.clientWidth);
+            if (Math.abs(px - x) < Math.abs(getProfileX(weatherData, closest, canvas.clientWidth) - x)) closest = i;
+        });
+        return closest;
+    };
+    
+    canvas.addEventListener('pointermove', (e) => setElevationCursor(pointerToIndex(e), false));
+    canvas.addEventListener('click', (e) => setElevationCursor(pointerToIndex(e), true));
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+    ELEVATION_CHART_IDS.forEach(bindElevationChart);
+});
+
+window.addEventListener('resize', drawElevationProfiles);
+
+// Clear map of route and markers
+function clearMap() {
+    weatherMarkers.forEach(marker => marker.remove());
+    weatherMarkers = [];
+    hideTimeline();
+    clearForecastDiff();
+    
+    // Remove old route segments
+    removeRouteSegmentLayers();
+    
+    // Remove outline and overlay layers
+    if (map.getLayer('route-outline')) {
+        map.removeLayer('route-outline');
+    }
+    if (map.getSource('route-outline')) {
+        map.removeSource('route-outline');
+    }
+    ROUTE_OVERLAY_IDS.forEach(removeRouteOverlay);
+    removePrecipitationGridLayer();
+    removeOfficialAlertLayers();
+    
+    // Remove alternative route layers
+    for (let i = 0; i < 10; i++) {
+        if (map.getLayer(`route-alternative-${i}`)) {
+            map.removeLayer(`route-alternative-${i}`);
+        }
+        if (map.getSource(`route-alternative-${i}`)) {
+            map.removeSource(`route-alternative-${i}`);
+        }
+    }
+    
+    // Remove old single route layer (legacy)
+    if (map.getLayer('route')) {
+        map.removeLayer('route');
+    }
+    if (map.getSource('route')) {
+        map.removeSource('route');
+    }
+}
+
+// UI helper functions
+function showLoading(show, isMobile = false) {
+    const loadingId = isMobile ? 'loadingMobile' : 'loading';
+    const btnId = isMobile ? 'submitBtnMobile' : 'submitBtn';
+    
+    const loadingEl = document.getElementById(loadingId);
+    const btnEl = document.getElementById(btnId);
+    
+    if (loadingEl) loadingEl.classList.toggle('hidden', !show);
+    if (btnEl) btnEl.disabled = show;
+}
+
+function showError(message, isMobile = false) {
+    const errorId = isMobile ? 'errorMobile' : 'error';
+    const errorDiv = document.getElementById(errorId);
+    
+    if (errorDiv) {
+        errorDiv.textContent = message;
+        errorDiv.classList.remove('hidden');
+    }
+}
+
+function hideError(isMobile = false) {
+    const errorId = isMobile ? 'errorMobile' : 'error';
+    const errorDiv = document.getElementById(errorId);
+    
+    if (errorDiv) errorDiv.classList.add('hidden');
+}
+
+function hideRouteInfo(isMobile = false) {
+    const routeInfoId = isMobile ? 'routeInfoMobile' : 'routeInfo';
+    const navigateSectionId = isMobile ? 'navigateSectionMobile' : 'navigateSection';
+    
+    const routeInfo = document.getElementById(routeInfoId);
+    const navigateSection = document.getElementById(navigateSectionId);
+    
     if (routeInfo) routeInfo.classList.add('hidden');
-    if (routeInfoMobile) routeInfoMobile.classList.add('hidden');
     if (navigateSection) navigateSection.classList.add('hidden');
-    if (navigateSectionMobile) navigateSectionMobile.classList.add('hidden');
-    if (saveRouteBtn) saveRouteBtn.classList.add('hidden');
-    if (saveRouteBtnMobile) saveRouteBtnMobile.classList.add('hidden');
-    if (clearRouteBtn) clearRouteBtn.classList.add('hidden');
-    if (clearRouteBtnMobile) clearRouteBtnMobile.classList.add('hidden');
+}
+
+
+// Toggle collapsible sections (mobile only)
+function toggleSection(contentId) {
+    // Only work on mobile
+    if (window.innerWidth > 768) return;
+    
+    const content = document.getElementById(contentId);
+    const header = content.previousElementSibling;
+    
+    if (header.classList.contains('collapsed')) {
+        // Open
+        header.classList.remove('collapsed');
+        content.style.maxHeight = content.scrollHeight + 'px';
+    } else {
+        // Close
+        header.classList.add('collapsed');
+        content.style.maxHeight = '0';
+    }
+}
+
+// Initialize collapsible sections on page load
+window.addEventListener('DOMContentLoaded', () => {
+    setDefaultDepartureTime();
+    
+    const unitSelect = document.getElementById('unitSelect');
+    if (unitSelect) unitSelect.value = unitSystem;
+    updateCrosswindLimitInput();
+    updateTrackSpeedInputs();
+    updateTravelModeInputs();
+    setupTrackDrop();
+    
+    // Installable app: cache the shell so the last route opens offline
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+    startCommuteWatcher();
+    
+    if (window.innerWidth <= 768) {
+        // Start with sections collapsed on mobile
+        const sections = ['routeInfoContent', 'legendContent'];
+        sections.forEach(id => {
+            const content = document.getElementById(id);
+            if (content) {
+                const header = content.previousElementSibling;
+                header.classList.add('collapsed');
+                content.style.maxHeight = '0';
+            }
+        });
+    }
+});
+
+// Reset collapse state when window is resized
+window.addEventListener('resize', () => {
+    const sections = ['routeInfoContent', 'legendContent'];
+    sections.forEach(id => {
+        const content = document.getElementById(id);
+        if (!content) return; // Skip if element doesn't exist
+        
+        const header = content.previousElementSibling;
+        if (!header) return; // Skip if no header found
+        
+        if (window.innerWidth > 768) {
+            // Desktop: remove collapsed state and clear inline styles
+            header.classList.remove('collapsed');
+            content.style.maxHeight = '';
+        } else if (!header.classList.contains('collapsed')) {
+            // Mobile and currently open: set max-height
+            content.style.maxHeight = content.scrollHeight + 'px';
+        }
+    });
+});
+
+// Toggle drawer for mobile
+function toggleDrawer() {
+    if (window.innerWidth <= 768) {
+        const sidebar = document.querySelector('.sidebar');
+        sidebar.classList.toggle('closed');
+    }
+}
+
+// Swipe gesture support for drawer
+let touchStartY = 0;
+let touchEndY = 0;
+let isDragging = false;
+
+function initDrawerSwipe() {
+    const sidebar = document.querySelector('.sidebar');
+    const sidebarHeader = document.querySelector('.sidebar-header');
+    
+    if (!sidebar || !sidebarHeader) return;
+    
+    // Only enable on mobile
+    if (window.innerWidth > 768) return;
+    
+    sidebarHeader.addEventListener('touchstart', (e) => {
+        touchStartY = e.touches[0].clientY;
+        isDragging = true;
+        sidebar.style.transition = 'none';
+    }, { passive: true });
+    
+    sidebarHeader.addEventListener('touchmove', (e) => {
+        if (!isDragging) return;
+        
+        touchEndY = e.touches[0].clientY;
+        const deltaY = touchEndY - touchStartY;
+        
+        const isClosed = sidebar.classList.contains('closed');
+        
+        if (!isClosed) {
+            // When open (at translateY(0)), allow dragging down
+            if (deltaY > 0) {
+                sidebar.style.transform = `translateY(${deltaY}px)`;
+            }
+        } else {
+            // When closed (at translateY(calc(100% - 100px))), allow dragging up
+            if (deltaY < 0) {
+                // Start from closed position and move up as user drags
+                const sidebarHeight = sidebar.offsetHeight;
+                const closedOffset = sidebarHeight - 100; // The "100% - 100px" in pixels
+                const dragAmount = Math.abs(deltaY);
+                const newOffset = Math.max(0, closedOffset - dragAmount);
+                sidebar.style.transform = `translateY(${newOffset}px)`;
+            }
+        }
+    }, { passive: true });
+    
+    const handleTouchEnd = () => {
+        if (!isDragging) return;
+        
+        isDragging = false;
+        sidebar.style.transition = '';
+        sidebar.style.transform = '';
+        
+        const swipeDistance = Math.abs(touchEndY - touchStartY);
+        const deltaY = touchEndY - touchStartY;
+        const threshold = 50; // Minimum swipe distance in pixels
+        
+        const isClosed = sidebar.classList.contains('closed');
+        
+        if (deltaY < 0 && isClosed && swipeDistance > threshold) {
+            // Swipe up when closed - open drawer
+            sidebar.classList.remove('closed');
+        } else if (deltaY > 0 && !isClosed && swipeDistance > threshold) {
+            // Swipe down when open - close drawer
+            sidebar.classList.add('closed');
+        }
+        
+        // Reset
+        touchStartY = 0;
+        touchEndY = 0;
+    };
+    
+    sidebarHeader.addEventListener('touchend', handleTouchEnd, { passive: true });
+    sidebarHeader.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+}
+
+// Initialize drawer swipe on load
+if (window.innerWidth <= 768) {
+    initDrawerSwipe();
+}
+
+// Re-initialize on resize
+window.addEventListener('resize', () => {
+    if (window.innerWidth <= 768) {
+        initDrawerSwipe();
+    }
+});
+
+// Toggle legend modal
+function toggleLegendModal() {
+    const modal = document.getElementById('legendModal');
+    modal.classList.toggle('hidden');
+}
+
+// Toggle weather modal
+function toggleWeatherModal() {
+    const modal = document.getElementById('weatherModal');
+    modal.classList.toggle('hidden');
+}
+
+// Toggle navigate menu
+function toggleNavigateMenu() {
+    const menu = document.getElementById('navigateMenu');
+    const menuMobile = document.getElementById('navigateMenuMobile');
+    
+    if (menu) menu.classList.toggle('hidden');
+    if (menuMobile) menuMobile.classList.toggle('hidden');
+}
+
+// Open route in Apple Maps
+function openInAppleMaps() {
+    const { start, end } = currentRouteAddresses;
+    const url = `https://maps.apple.com/?saddr=${encodeURIComponent(start)}&daddr=${encodeURIComponent(end)}`;
+    window.open(url, '_blank');
+}
+
+// Open route in Waze
+function openInWaze() {
+    const { endCoords } = currentRouteAddresses;
+    const url = `https://waze.com/ul?ll=${endCoords[1]},${endCoords[0]}&navigate=yes`;
+    window.open(url, '_blank');
+}
+
+// Open route in Google Maps
+function openInGoogleMaps() {
+    const { start, end, stops = [] } = currentRouteAddresses;
+    let url = `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(start)}&destination=${encodeURIComponent(end)}`;
+    if (stops.length > 0) {
+        url += `&waypoints=${encodeURIComponent(stops.map(stop => stop.location).join('|'))}`;
+    }
+    window.open(url, '_blank');
+}
+
+// Toggle download menu
+function toggleDownloadMenu() {
+    const menu = document.getElementById('downloadMenu');
+    const menuMobile = document.getElementById('downloadMenuMobile');
+    
+    if (menu) menu.classList.toggle('hidden');
+    if (menuMobile) menuMobile.classList.toggle('hidden');
+}
+
+// Export the selected route with its forecast as GPX, KML or GeoJSON
+const ROUTE_EXPORTERS = {
+    gpx: { build: buildRouteGPX, mimeType: 'application/gpx+xml' },
+    kml: { build: buildRouteKML, mimeType: 'application/vnd.google-earth.kml+xml' },
+    geojson: { build: buildRouteGeoJSON, mimeType: 'application/geo+json' }
+};
+
+function downloadRoute(format) {
+    const trip = routeAlternatives[selectedRouteIndex];
+    const exporter = ROUTE_EXPORTERS[format];
+    if (!trip || !exporter) return;
+    
+    const { start, end } = currentRouteAddresses || {};
+    const name = start && end ? `${start} to ${end}` : 'Route';
+    const content = exporter.build(trip.route, trip.weatherData, name);
+    
+    const url = URL.createObjectURL(new Blob([content], { type: exporter.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${slugify(name)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    
+    toggleDownloadMenu();
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'route';
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// One-line forecast note in the user's units, for waypoint and placemark descriptions
+// Open-Meteo leaves some values null (probability and visibility beyond the short range), so those are skipped
+function describeForecast(weather) {
+    const has = (key) => typeof weather[key] === 'number';
+    const notes = [];
+    
+    if (has('temperature')) {
+        notes.push(`${formatTemperature(weather.temperature)}${has('apparentTemperature') ? ` (feels like ${formatTemperature(weather.apparentTemperature)})` : ''}`);
+    }
+    const precipitation = [
+        has('precipitation') ? `${formatPrecipitation(weather.precipitation)} precipitation` : null,
+        has('precipitationProbability') ? `${weather.precipitationProbability}% chance` : null
+    ].filter(Boolean);
+    if (precipitation.length > 0) notes.push(precipitation.join(', '));
+    if (has('windSpeed')) {
+        notes.push(`wind ${formatSpeed(weather.windSpeed)}${has('windDirection') ? ` from ${formatCompass(weather.windDirection)}` : ''}${has('windGusts') ? `, gusts ${formatSpeed(weather.windGusts)}` : ''}`);
+    }
+    if (has('visibility')) notes.push(`${formatDistance(weather.visibility)} visibility`);
+    
+    if (weather.snowfall > 0) notes.push(`${formatSnowfall(weather.snowfall)} snow`);
+    if (hasIceRisk(weather)) notes.push('ice risk');
+    if (isDarkAt(weather)) notes.push('darkness');
+    if (hasSunGlare(weather)) notes.push('sun glare');
+    if (exceedsCrosswindLimit(weather, crosswindLimit)) notes.push('strong crosswind');
+    
+    return `${getWeatherDescription(weather.weatherCode)}: ${notes.join('; ')}`;
+}
+
+function buildRouteGeoJSON(route, weatherData, name) {
+    const routeCoords = route.geometry.coordinates;
+    const features = [];
+    
+    for (let i = 0; i < weatherData.length - 1; i++) {
+        features.push({
+            type: 'Feature',
+            properties: {
+                ...getSegmentProperties(weatherData[i]),
+                startTime: weatherData[i].time.toISOString(),
+                distanceFromStart: weatherData[i].distanceFromStart,
+                color: getWeatherColor(weatherData[i].weatherCode, weatherData[i].precipitation)
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: getSegmentCoordinates(routeCoords, weatherData[i], weatherData[i + 1])
+            }
+        });
+    }
+    
+    return JSON.stringify({ type: 'FeatureCollection', name, features }, null, 2);
+}
+
+function buildRouteGPX(route, weatherData, name) {
+    const waypoints = weatherData.map(w => `
+    <wpt lat="${w.coords[1]}" lon="${w.coords[0]}">
+        ${typeof w.elevation === 'number' ? `<ele>${w.elevation}</ele>` : ''}
+        <time>${w.time.toISOString()}</time>
+        <name>${escapeXml(`${w.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ${getWeatherDescription(w.weatherCode)}`)}</name>
+        <desc>${escapeXml(describeForecast(w))}</desc>
+    </wpt>`).join('');
+    
+    const trackPoints = route.geometry.coordinates
+        .map(([lon, lat]) => `
+            <trkpt lat="${lat}" lon="${lon}"></trkpt>`)
+        .join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Route Weather Map" xmlns="http://www.topografix.com/GPX/1/1">
+    <metadata>
+        <name>${escapeXml(name)}</name>
+        <time>${new Date().toISOString()}</time>
+    </metadata>${waypoints}
+    <trk>
+        <name>${escapeXml(name)}</name>
+        <trkseg>${trackPoints}
+        </trkseg>
+    </trk>
+</gpx>
+`;
+}
+
+// KML colors are aabbggrr rather than #rrggbb
+function toKmlColor(hex) {
+    const [, r, g, b] = hex.match(/^#(..)(..)(..)$/);
+    return `ff${b}${g}${r}`;
+}
+
+function buildRouteKML(route, weatherData, name) {
+    const routeCoords = route.geometry.coordinates;
+    const placemarks = [];
+    
+    for (let i = 0; i < weatherData.length - 1; i++) {
+        const weather = weatherData[i];
+        const coordinates = getSegmentCoordinates(routeCoords, weather, weatherData[i + 1])
+            .map(([lon, lat]) => `${lon},${lat}`)
+            .join(' ');
+        
+        placemarks.push(`
+        <Placemark>
+            <name>${escapeXml(`${weather.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ${getWeatherDescription(weather.weatherCode)}`)}</name>
+            <description>${escapeXml(describeForecast(weather))}</description>
+            <TimeStamp><when>${weather.time.toISOString()}</when></TimeStamp>
+            <Style>
+                <LineStyle>
+                    <color>${toKmlColor(getWeatherColor(weather.weatherCode, weather.precipitation))}</color>
+                    <width>6</width>
+                </LineStyle>
+            </Style>
+            <LineString>
+                <tessellate>1</tessellate>
+                <coordinates>${coordinates}</coordinates>
+            </LineString>
+        </Placemark>`);
+    }
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document>
+        <name>${escapeXml(name)}</name>${placemarks.join('')}
+    </Document>
+</kml>
+`;
+}
+
+// Clear input field
+function clearInput(inputId) {
+    const input = document.getElementById(inputId);
+    if (input) {
+        input.value = '';
+        input.focus();
+        // Trigger input event to hide autocomplete if open
+        input.dispatchEvent(new Event('input'));
+    }
+}
+
+// Save route to sessionStorage, and to localStorage as the route to show when opened offline
+function saveRouteToCache(data) {
+    try {
+        const cached = JSON.stringify({ ...data, weatherUnits: 'metric', fetchedAt: forecastFetchedAt });
+        sessionStorage.setItem('cachedRoute', cached);
+        localStorage.setItem('lastRoute', cached);
+    } catch (e) {
+        console.error('Failed to cache route:', e);
+    }
+}
+
+// This tab's route, or when offline the last route from any session
+function readCachedRoute() {
+    return sessionStorage.getItem('cachedRoute') || (navigator.onLine ? null : localStorage.getItem('lastRoute'));
+}
+
+function discardCachedRoute() {
+    sessionStorage.removeItem('cachedRoute');
+    localStorage.removeItem('lastRoute');
+}
+
+// The weather on screen was just fetched
+function markForecastFresh() {
+    forecastFetchedAt = new Date();
+    showingCachedForecast = false;
+    updateForecastBanner();
+}
+
+// Say how old the forecast is while it comes from the cache or can't be refreshed
+function updateForecastBanner() {
+    const banner = document.getElementById('forecastBanner');
+    if (!banner) return;
+    
+    const offline = !navigator.onLine;
+    if (routeAlternatives.length === 0 || (!showingCachedForecast && !offline)) {
+        banner.classList.add('hidden');
+        return;
+    }
+    
+    const asOf = forecastFetchedAt
+        ? `Forecast as of ${forecastFetchedAt.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`
+        : 'Cached forecast';
+    banner.textContent = offline ? `📡 Offline · ${asOf}` : `🕒 ${asOf}`;
+    banner.classList.remove('hidden');
+}
+
+// Back online: fetch fresh weather for the cached route options
+async function refreshForecastAfterReconnect() {
+    updateForecastBanner();
+    if (!map) return;
+    
+    // The map couldn't load its style while offline, start over now that it can
+    if (!map.isStyleLoaded()) {
+        window.location.reload();
+        return;
+    }
+    
+    if (!showingCachedForecast || routeAlternatives.length === 0) return;
+    
+    // Keep the planned departure unless it has already passed
+    const plannedDeparture = routeAlternatives[selectedRouteIndex].weatherData[0].time;
+    const departure = plannedDeparture > new Date() ? plannedDeparture : new Date();
+    
+    try {
+        routeAlternatives = await getWeatherForRoutes(
+            routeAlternatives.map(alternative => alternative.route),
+            departure,
+            currentRouteAddresses.stops || []
+        );
+    } catch (error) {
+        console.error('Failed to refresh cached forecast:', error);
+        return;
+    }
+    
+    const departureValue = toLocalDateTimeValue(departure);
+    ['departureTime', 'departureTimeMobile'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = departureValue;
+    });
+    
+    clearMap();
+    rerenderCurrentRoute();
+    markForecastFresh();
+    
+    const { route, weatherData } = routeAlternatives[selectedRouteIndex];
+    saveRouteToCache({
+        route,
+        weatherData,
+        addresses: currentRouteAddresses,
+        departureTime: departureValue,
+        alternatives: routeAlternatives,
+        selectedRouteIndex
+    });
+}
+
+window.addEventListener('online', refreshForecastAfterReconnect);
+window.addEventListener('offline', updateForecastBanner);
+
+// Restore route from sessionStorage
+function restoreRouteFromCache() {
+    // Prevent multiple simultaneous restore attempts
+    if (isRestoringRoute) {
+        console.log('Restore already in progress, skipping...');
+        return;
+    }
+    
+    try {
+        const cached = readCachedRoute();
+        if (!cached) {
+            console.log('No cached route found');
+            return;
+        }
+        
+        // Check if map is ready
+        if (!map) {
+            console.log('Map not initialized, cannot restore');
+            return;
+        }
+        
+        // Check if route is already displayed
+        if (map.getSource('route-segment-0')) {
+            console.log('Route already displayed, skipping restore');
+            return;
+        }
+        
+        if (!map.loaded() || !map.isStyleLoaded()) {
+            console.log('Map not ready, will retry...');
+            setTimeout(restoreRouteFromCache, 300);
+            return;
+        }
+        
+        isRestoringRoute = true;
+        console.log('Starting route restoration...');
+        
+        const cachedData = JSON.parse(cached);
+        const { addresses, departureTime } = cachedData;
+        
+        // Caches from before weather was stored in metric can't be displayed correctly
+        if (cachedData.weatherUnits !== 'metric') {
+            console.log('Cached route uses old weather units, discarding');
+            discardCachedRoute();
+            isRestoringRoute = false;
+            return;
+        }
+        
+        // Older caches only hold the selected route
+        routeAlternatives = cachedData.alternatives || [{ route: cachedData.route, weatherData: cachedData.weatherData }];
+        selectedRouteIndex = cachedData.selectedRouteIndex || 0;
+        const { route, weatherData } = routeAlternatives[selectedRouteIndex];
+        
+        // Convert time strings back to Date objects
+        routeAlternatives.forEach(alternative => {
+            alternative.weatherData.forEach(w => {
+                w.time = new Date(w.time);
+            });
+        });
+        
+        // Restore addresses
+        currentRouteAddresses = addresses;
+        
+        // The offline fallback becomes this tab's route
+        sessionStorage.setItem('cachedRoute', cached);
+        forecastFetchedAt = cachedData.fetchedAt ? new Date(cachedData.fetchedAt) : null;
+        showingCachedForecast = true;
+        
+        // Restore form values
+        const startInput = document.getElementById('startLocation');
+        const endInput = document.getElementById('endLocation');
+        const departureInput = document.getElementById('departureTime');
+        const startInputMobile = document.getElementById('startLocationMobile');
+        const endInputMobile = document.getElementById('endLocationMobile');
+        const departureInputMobile = document.getElementById('departureTimeMobile');
+        
+        if (startInput) startInput.value = addresses.start;
+        if (endInput) endInput.value = addresses.end;
+        if (departureInput) departureInput.value = departureTime;
+        if (startInputMobile) startInputMobile.value = addresses.start;
+        if (endInputMobile) endInputMobile.value = addresses.end;
+        if (departureInputMobile) departureInputMobile.value = departureTime;
+        renderStops(addresses.stops || []);
+        
+        // Clear existing route layers first
+        try {
+            clearMap();
+        } catch (e) {
+            console.warn('Error clearing map:', e);
+        }
+        
+        // Wait a frame for map to be ready
+        requestAnimationFrame(() => {
+            try {
+                // Restore map and UI
+                displayRouteWithWeather(route, weatherData);
+                displayAlternativeRoutes();
+                displayRouteInfo(route, weatherData, false);
+                displayRouteComparison();
+                
+                // Set currentRouteData for saving functionality
+                currentRouteData = { route };
+                updateForecastBanner();
+                
+                console.log('✓ Route successfully restored from cache');
+            } catch (e) {
+                console.error('Error displaying route:', e);
+            } finally {
+                isRestoringRoute = false;
+            }
+        });
+        
+    } catch (e) {
+        console.error('Failed to restore route:', e);
+        discardCachedRoute();
+        isRestoringRoute = false;
+    }
+}
+
+// Listen for page visibility changes to restore route
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && map) {
+        // Page became visible - wait a bit for map to be ready, then restore
+        setTimeout(() => {
+            restoreRouteFromCache();
+        }, 100);
+    }
+});
+
+// Restore route on initial page load
+window.addEventListener('load', () => {
+    // Check if there's a cached route and close drawer if so
+    if (window.innerWidth <= 768) {
+        const cached = readCachedRoute();
+        const sidebar = document.querySelector('.sidebar');
+        
+        if (cached && sidebar) {
+            // There's a cached route, start with drawer closed
+            sidebar.classList.add('closed');
+        }
+        // If no cached route, drawer stays open (default state)
+    }
+    
+    // Wait for map to be fully initialized
+    const checkMapReady = setInterval(() => {
+        if (map && map.loaded()) {
+            clearInterval(checkMapReady);
+            restoreRouteFromCache();
+        }
+    }, 100);
+});
+
+// Clear route, cache, and inputs
+function clearRoute() {
+    // Confirm before clearing
+    if (!confirm('Are you sure you want to clear this route?')) return;
+    
+    // Clear sessionStorage and the offline copy
+    discardCachedRoute();
+    
+    // Clear all inputs
+    const inputs = [
+        'startLocation',
+        'endLocation',
+        'departureTime',
+        'startLocationMobile',
+        'endLocationMobile',
+        'departureTimeMobile'
+    ];
+    
+    inputs.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    renderStops([]);
+    
+    // Clear map
+    clearMap();
+    
+    // Hide route info and navigation sections
+    const routeInfo = document.getElementById('routeInfo');
+    const routeInfoMobile = document.getElementById('routeInfoMobile');
+    const navigateSection = document.getElementById('navigateSection');
+    const navigateSectionMobile = document.getElementById('navigateSectionMobile');
+    const saveRouteBtn = document.getElementById('saveRouteBtn');
+    const saveRouteBtnMobile = document.getElementById('saveRouteBtnMobile');
+    const shareRouteBtn = document.getElementById('shareRouteBtn');
+    const shareRouteBtnMobile = document.getElementById('shareRouteBtnMobile');
+    const clearRouteBtn = document.getElementById('clearRouteBtn');
+    const clearRouteBtnMobile = document.getElementById('clearRouteBtnMobile');
+    
+    if (routeInfo) routeInfo.classList.add('hidden');
+    if (routeInfoMobile) routeInfoMobile.classList.add('hidden');
+    if (navigateSection) navigateSection.classList.add('hidden');
+    if (navigateSectionMobile) navigateSectionMobile.classList.add('hidden');
+    if (saveRouteBtn) saveRouteBtn.classList.add('hidden');
+    if (saveRouteBtnMobile) saveRouteBtnMobile.classList.add('hidden');
+    if (shareRouteBtn) shareRouteBtn.classList.add('hidden');
+    if (shareRouteBtnMobile) shareRouteBtnMobile.classList.add('hidden');
+    if (clearRouteBtn) clearRouteBtn.classList.add('hidden');
+    if (clearRouteBtnMobile) clearRouteBtnMobile.classList.add('hidden');
+    
+    hideElevationProfile();
+    officialAlerts = { weatherData: null, points: [], alerts: [] };
+    displayOfficialAlerts();
+    
+    // Clear addresses and route options
+    currentRouteAddresses = null;
+    routeAlternatives = [];
+    selectedRouteIndex = 0;
+    displayRouteComparison();
+    showingCachedForecast = false;
+    updateForecastBanner();
+    
+    console.log('Route cleared');
+}
+
+// Toggle map menu
+function toggleMapMenu() {
+    const mapMenu = document.getElementById('mapMenu');
+    if (mapMenu) {
+        mapMenu.classList.toggle('hidden');
+    }
+}
+
+// Saved Routes Management
+let currentRouteData = null; // Store current route for saving
+let inputModalCallback = null; // Callback for input modal
+
+// Custom input modal functions
+function showInputModal(title, placeholder, defaultValue, callback) {
+    const modal = document.getElementById('inputModal');
+    const titleEl = document.getElementById('inputModalTitle');
+    const inputField = document.getElementById('inputModalField');
+    
+    titleEl.textContent = title;
+    inputField.placeholder = placeholder;
+    inputField.value = defaultValue || '';
+    inputModalCallback = callback;
+    
+    modal.classList.remove('hidden');
+    inputField.focus();
+    inputField.select();
+}
+
+function closeInputModal() {
+    const modal = document.getElementById('inputModal');
+    const inputField = document.getElementById('inputModalField');
+    
+    modal.classList.add('hidden');
+    inputField.value = '';
+    inputModalCallback = null;
+}
+
+function confirmInputModal() {
+    const inputField = document.getElementById('inputModalField');
+    const value = inputField.value.trim();
+    
+    if (value && inputModalCallback) {
+        inputModalCallback(value);
+    }
+    
+    closeInputModal();
+}
+
+// Handle Enter key in input modal
+document.addEventListener('DOMContentLoaded', () => {
+    const inputField = document.getElementById('inputModalField');
+    if (inputField) {
+        inputField.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                confirmInputModal();
+            }
+        });
+    }
+});
+
+// Save current route to localStorage
+function saveCurrentRoute() {
+    if (!currentRouteAddresses || !currentRouteData) {
+        alert('No route to save!');
+        return;
+    }
+    
+    const defaultName = `${currentRouteAddresses.start} → ${currentRouteAddresses.end}`;
+    
+    showInputModal(
+        'Save Route',
+        'Enter a name for this route',
+        defaultName,
+        async (routeName) => {
+            const savedRoute = {
+                id: Date.now(),
+                name: routeName,
+                startAddress: currentRouteAddresses.start,
+                endAddress: currentRouteAddresses.end,
+                stops: (currentRouteAddresses.stops || []).map(({ location, dwellMinutes }) => ({ location, dwellMinutes })),
+                travelMode: currentRouteAddresses.travelMode || 'driving',
+                distanceMeters: currentRouteData.route.distance,
+                snapshot: buildWeatherSnapshot(routeAlternatives[selectedRouteIndex].weatherData, currentRouteData.route.distance)
+            };
+            
+            // Keep it locally and sync later if the server can't be reached
+            const savedRoutes = readLocalSavedRoutes();
+            try {
+                const { route } = await savedRoutesRequest('', { method: 'POST', body: JSON.stringify(savedRoute) });
+                savedRoutes.push(route);
+            } catch (error) {
+                if (!isRetryableRouteError(error)) {
+                    alert(`Could not save route: ${error.message}`);
+                    return;
+                }
+                console.warn('Saving route offline:', error);
+                savedRoutes.push({ ...savedRoute, pendingSync: true });
+            }
+            writeLocalSavedRoutes(savedRoutes);
+            
+            // Show success feedback
+            const saveBtn = document.getElementById('saveRouteBtn');
+            const saveBtnMobile = document.getElementById('saveRouteBtnMobile');
+            const originalText = saveBtn?.textContent;
+            
+            if (saveBtn) saveBtn.textContent = '✓ Saved!';
+            if (saveBtnMobile) saveBtnMobile.textContent = '✓ Saved!';
+            
+            setTimeout(() => {
+                if (saveBtn) saveBtn.textContent = originalText;
+                if (saveBtnMobile) saveBtnMobile.textContent = originalText;
+            }, 2000);
+        }
+    );
+}
+
+// Shareable links - start, end, stops, departure, units and travel mode in the query string
+// Stops are repeated via/stay pairs; departure is an ISO timestamp so it survives time zones
+function buildShareLink() {
+    const { start, end, stops = [] } = currentRouteAddresses;
+    const { weatherData } = routeAlternatives[selectedRouteIndex];
+    
+    const params = new URLSearchParams({ from: start, to: end });
+    stops.forEach(stop => {
+        params.append('via', stop.location);
+        params.append('stay', stop.dwellMinutes || 0);
+    });
+    params.set('depart', weatherData[0].time.toISOString());
+    params.set('units', unitSystem);
+    params.set('mode', currentRouteAddresses.travelMode || travelMode);
+    
+    return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+// Copy the link, or hand it to the native share sheet where there is one
+async function shareCurrentRoute() {
+    if (!currentRouteAddresses || routeAlternatives.length === 0) {
+        alert('No route to share!');
+        return;
+    }
+    
+    // Imported tracks can't be rebuilt from addresses
+    if (currentRouteAddresses.trackName) {
+        alert('Imported tracks can\'t be shared as a link. Use Download Route instead.');
+        return;
+    }
+    
+    const url = buildShareLink();
+    const title = `${currentRouteAddresses.start} → ${currentRouteAddresses.end}`;
+    
+    try {
+        if (navigator.share) {
+            await navigator.share({ title, text: `Route weather: ${title}`, url });
+            return;
+        }
+        
+        await navigator.clipboard.writeText(url);
+        
+        const shareBtn = document.getElementById('shareRouteBtn');
+        const shareBtnMobile = document.getElementById('shareRouteBtnMobile');
+        const originalText = shareBtn?.textContent;
+        
+        if (shareBtn) shareBtn.textContent = '✓ Link Copied!';
+        if (shareBtnMobile) shareBtnMobile.textContent = '✓ Link Copied!';
+        
+        setTimeout(() => {
+            if (shareBtn) shareBtn.textContent = originalText;
+            if (shareBtnMobile) shareBtnMobile.textContent = originalText;
+        }, 2000);
+    } catch (error) {
+        // Closing the share sheet isn't an error worth reporting
+        if (error.name === 'AbortError') return;
+        
+        console.error('Failed to share route:', error);
+        prompt('Copy this link to share the route:', url);
+    }
+}
+
+// Fill in the forms from a shared link and plan the trip; returns false when there is no link
+function openSharedRoute() {
+    const params = new URLSearchParams(window.location.search);
+    const start = params.get('from');
+    const end = params.get('to');
+    if (!start || !end) return false;
+    
+    const stays = params.getAll('stay');
+    const stops = params.getAll('via').map((location, i) => ({
+        location,
+        dwellMinutes: Math.max(0, parseInt(stays[i], 10) || 0)
+    }));
+    
+    if (params.get('units')) setUnitSystem(params.get('units'));
+    if (params.get('mode')) setTravelMode(params.get('mode'));
+    
+    const depart = new Date(params.get('depart'));
+    const departureTime = isNaN(depart.getTime()) ? document.getElementById('departureTime').value : toLocalDateTimeValue(depart);
+    
+    ['', 'Mobile'].forEach(suffix => {
+        const startInput = document.getElementById(`startLocation${suffix}`);
+        const endInput = document.getElementById(`endLocation${suffix}`);
+        const departureInput = document.getElementById(`departureTime${suffix}`);
+        
+        if (startInput) startInput.value = start;
+        if (endInput) endInput.value = end;
+        if (departureInput) departureInput.value = departureTime;
+    });
+    renderStops(stops);
+    
+    // The link replaces whatever was cached, and reloading shouldn't plan the trip again
+    sessionStorage.removeItem('cachedRoute');
+    window.history.replaceState(null, '', window.location.pathname);
+    
+    getRouteWithWeather(start, end, departureTime, window.innerWidth <= 768, stops);
+    return true;
+}
+
+// Load a saved route
+async function loadSavedRoute(routeId, departure = null) {
+    const savedRoutes = readLocalSavedRoutes();
+    const route = savedRoutes.find(r => r.id === routeId);
+    
+    if (!route) {
+        alert('Route not found!');
+        return;
+    }
+    
+    // Close the modal
+    toggleSavedRoutesModal();
+    
+    // Set the form inputs
+    const startInput = document.getElementById('startLocation');
+    const endInput = document.getElementById('endLocation');
+    const startInputMobile = document.getElementById('startLocationMobile');
+    const endInputMobile = document.getElementById('endLocationMobile');
+    
+    if (startInput) startInput.value = route.startAddress;
+    if (endInput) endInput.value = route.endAddress;
+    if (startInputMobile) startInputMobile.value = route.startAddress;
+    if (endInputMobile) endInputMobile.value = route.endAddress;
+    renderStops(route.stops || []);
+    if (route.travelMode) setTravelMode(route.travelMode);
+    recheckingSavedRouteId = route.id;
+    
+    // Unless a specific time was asked for, recheck at the time of day of the last forecast so the
+    // changes shown are forecast changes rather than a different hour; routes without one depart now
+    const localDateTime = toLocalDateTimeValue(departure || getSnapshotRecheckDeparture(route.snapshot) || new Date());
+    const departureInput = document.getElementById('departureTime');
+    const departureInputMobile = document.getElementById('departureTimeMobile');
+    if (departureInput) departureInput.value = localDateTime;
+    if (departureInputMobile) departureInputMobile.value = localDateTime;
+    
+    // Trigger route calculation
+    document.getElementById('routeForm').dispatchEvent(new Event('submit'));
+}
+
+// Delete a saved route
+async function deleteSavedRoute(routeId) {
+    if (!confirm('Are you sure you want to delete this route?')) return;
+    
+    const savedRoutes = readLocalSavedRoutes();
+    const deleted = savedRoutes.find(r => r.id === routeId);
+    
+    // Routes that never reached the server only need removing locally
+    if (deleted && !deleted.pendingSync) {
+        try {
+            await savedRoutesRequest(`/${routeId}`, { method: 'DELETE' });
+        } catch (error) {
+            if (isRetryableRouteError(error)) {
+                console.warn('Deleting route offline:', error);
+                const pendingDeletes = JSON.parse(localStorage.getItem('pendingRouteDeletes') || '[]');
+                localStorage.setItem('pendingRouteDeletes', JSON.stringify([...pendingDeletes, routeId]));
+            } else if (error.status !== 404) {
+                alert(`Could not delete route: ${error.message}`);
+                return;
+            }
+        }
+    }
+    
+    writeLocalSavedRoutes(savedRoutes.filter(r => r.id !== routeId));
+    
+    // Refresh the modal
+    displaySavedRoutes();
+}
+
+// Saved routes are stored by the server under a sync ID that can be shared by a team
+// localStorage mirrors the list so it still works offline
+function getRouteOwnerId() {
+    let ownerId = localStorage.getItem('routeOwnerId');
+    if (!ownerId) {
+        ownerId = `user-${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem('routeOwnerId', ownerId);
+    }
+    return ownerId;
+}
+
+// Switch to another user's or team's routes
+// Changes made offline belong to the current ID, so they are pushed (or knowingly dropped) before switching
+async function setRouteOwnerId(value) {
+    const ownerInput = document.getElementById('routeOwnerInput');
+    const ownerId = value.trim();
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(ownerId) || ['__proto__', 'constructor', 'prototype'].includes(ownerId)) {
+        alert('Sync ID can only use letters, numbers, dashes and underscores.');
+        ownerInput.value = getRouteOwnerId();
+        return;
+    }
+    if (ownerId === getRouteOwnerId()) return;
+    
+    try {
+        await syncPendingRoutes();
+    } catch (error) {
+        console.warn('Could not sync offline changes before switching Sync ID:', error);
+        if (!confirm(`Some route changes haven't synced to ${getRouteOwnerId()} yet. Switch anyway and discard them on this device?`)) {
+            ownerInput.value = getRouteOwnerId();
+            return;
+        }
+    }
+    
+    // The local copy and anything still pending belonged to the previous ID
+    localStorage.removeItem('pendingRouteDeletes');
+    writeLocalSavedRoutes([]);
+    localStorage.setItem('routeOwnerId', ownerId);
+    displaySavedRoutes();
+}
+
+async function savedRoutesRequest(path = '', options = {}) {
+    const response = await fetch(`/api/routes${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', 'X-Owner-Id': getRouteOwnerId() }
+    });
+    
+    if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        const error = new Error(body && typeof body.error === 'string' ? body.error : `Saved routes request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    return response.status === 204 ? null : response.json();
+}
+
+// Only a lost connection or a server fault is worth queueing for a later sync;
+// anything else the server refused will be refused again
+function isRetryableRouteError(error) {
+    return !error.status || error.status >= 500;
+}
+
+// Saved routes are stored as { version, routes }; bump the version and extend
+// migrateSavedRoutes whenever the shape of a saved route changes
+const SAVED_ROUTES_VERSION = 2;
+
+// Version 1 was a bare array kept only in this browser, so those routes still need uploading
+function migrateSavedRoutes(stored) {
+    if (Array.isArray(stored)) {
+        return stored.map(route => ({ ...normalizeSavedRoute(route), pendingSync: true }));
+    }
+    
+    return (stored.routes || []).map(normalizeSavedRoute);
+}
+
+// Fill in fields that older saved routes don't have
+// Older routes also carried their Directions geometry; it is dropped since routes are re-planned from their addresses
+function normalizeSavedRoute({ route: directions, ...route }) {
+    return {
+        ...route,
+        stops: Array.isArray(route.stops) ? route.stops : [],
+        travelMode: Object.hasOwn(TRAVEL_MODES, route.travelMode) ? route.travelMode : 'driving',
+        schedule: isValidSchedule(route.schedule) ? route.schedule : null,
+        snapshot: isValidSnapshot(route.snapshot) ? route.snapshot : null,
+        distanceMeters: typeof route.distanceMeters === 'number' ? route.distanceMeters
+            : directions && typeof directions.distance === 'number' ? directions.distance
+            : null
+    };
+}
+
+function readLocalSavedRoutes() {
+    return migrateSavedRoutes(JSON.parse(localStorage.getItem('savedRoutes') || '[]'));
+}
+
+function writeLocalSavedRoutes(routes) {
+    localStorage.setItem('savedRoutes', JSON.stringify({ version: SAVED_ROUTES_VERSION, routes }));
+}
+
+// Create a route on the server, or update it when the id already exists there
+async function pushSavedRoute(route) {
+    try {
+        return (await savedRoutesRequest('', { method: 'POST', body: JSON.stringify(route) })).route;
+    } catch (error) {
+        if (error.status !== 409) throw error;
+        return (await savedRoutesRequest(`/${route.id}`, { method: 'PUT', body: JSON.stringify(route) })).route;
+    }
+}
+
+// Push deletes and saves made while offline; a 404 on delete means the server already forgot it
+// Changes the server refuses would block every later sync, so they are dropped and their errors returned
+async function syncPendingRoutes() {
+    const pendingDeletes = JSON.parse(localStorage.getItem('pendingRouteDeletes') || '[]');
+    for (const routeId of pendingDeletes) {
+        await savedRoutesRequest(`/${routeId}`, { method: 'DELETE' }).catch(error => {
+            if (isRetryableRouteError(error)) throw error;
+        });
+    }
+    localStorage.removeItem('pendingRouteDeletes');
+    
+    const rejected = [];
+    for (const { pendingSync, ...route } of readLocalSavedRoutes().filter(r => r.pendingSync)) {
+        try {
+            await pushSavedRoute(route);
+        } catch (error) {
+            if (isRetryableRouteError(error)) throw error;
+            console.warn('Server rejected offline route change:', error);
+            rejected.push(`${route.name}: ${error.message}`);
+        }
+    }
+    return rejected;
+}
+
+// Server list when reachable (refreshing the local copy), otherwise the local copy
+async function getSavedRoutes() {
+    try {
+        const rejected = await syncPendingRoutes();
+        const { routes } = await savedRoutesRequest();
+        writeLocalSavedRoutes(routes);
+        return { routes, offline: false, rejected };
+    } catch (error) {
+        console.warn('Saved routes API unavailable, using local copy:', error);
+        return { routes: readLocalSavedRoutes(), offline: true, rejected: [] };
+    }
+}
+
+// Display saved routes in modal
+async function displaySavedRoutes() {
+    const content = document.getElementById('savedRoutesContent');
+    const ownerInput = document.getElementById('routeOwnerInput');
+    const status = document.getElementById('savedRoutesStatus');
+    
+    if (ownerInput) ownerInput.value = getRouteOwnerId();
+    
+    const { routes: savedRoutes, offline, rejected } = await getSavedRoutes();
+    if (status) {
+        status.textContent = offline ? 'Offline - showing routes saved on this device'
+            : rejected.length > 0 ? `Could not sync ${rejected.join('; ')}`
+            : '';
+    }
+    
+    if (savedRoutes.length === 0) {
+        content.innerHTML = '<p style="color: #9ca3af; text-align: center; padding: 20px;">No saved routes yet. Save a route to see it here!</p>';
+        return;
+    }
+    
+    // Routes can come from anyone sharing the Sync ID, so every field is escaped
+    content.innerHTML = savedRoutes.map(route => `
+        <div class="saved-route-item">
+            <div class="saved-route-info">
+                <div class="saved-route-name">${escapeXml(route.name)}</div>
+                <div class="saved-route-details">
+                    <span>${escapeXml(route.startAddress)}</span>
+                    <span style="color: #9ca3af; margin: 0 8px;">→</span>
+                    <span>${escapeXml(route.endAddress)}</span>
+                </div>
+                <div class="saved-route-distance">${escapeXml(typeof route.distanceMeters === 'number' ? formatDistance(route.distanceMeters) : route.distance || '')}</div>
+                ${route.schedule ? `<div class="saved-route-schedule">🔔 ${escapeXml(formatCommuteSchedule(route.schedule))}</div>` : ''}
+            </div>
+            <div class="saved-route-actions">
+                <button class="saved-route-btn load-btn" onclick="loadSavedRoute(${Number(route.id)})">Load</button>
+                <button class="saved-route-btn backup-btn" onclick="editCommuteSchedule(${Number(route.id)})" title="Commute schedule">🔔</button>
+                <button class="saved-route-btn delete-btn" onclick="deleteSavedRoute(${Number(route.id)})">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Backup files - the same versioned shape as local storage plus a marker for what made them
+function exportSavedRoutes() {
+    const routes = readLocalSavedRoutes().map(({ pendingSync, ...route }) => route);
+    const backup = {
+        app: 'route-weather-map',
+        version: SAVED_ROUTES_VERSION,
+        exportedAt: new Date().toISOString(),
+        routes
+    };
+    
+    const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `saved-routes-${toLocalDateTimeValue(new Date()).slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Check a backup file and return its routes, or throw with a message for the user
+function parseSavedRoutesBackup(data) {
+    const isBackup = data && typeof data === 'object' && Array.isArray(data.routes);
+    if (!Array.isArray(data) && !isBackup) {
+        throw new Error('This file is not a saved routes backup.');
+    }
+    if (isBackup && data.version > SAVED_ROUTES_VERSION) {
+        throw new Error('This backup was made by a newer version of the app.');
+    }
+    
+    const routes = Array.isArray(data) ? data : data.routes;
+    const valid = routes.filter(route =>
+        route && typeof route === 'object' &&
+        ['name', 'startAddress', 'endAddress'].every(key => typeof route[key] === 'string' && route[key].trim()) &&
+        (route.stops === undefined || (Array.isArray(route.stops) && route.stops.every(stop => stop && typeof stop.location === 'string'))) &&
+        // The server would refuse these, and a broken schedule or snapshot breaks the list and commute checks
+        (route.schedule === undefined || route.schedule === null || isValidSchedule(route.schedule)) &&
+        (route.snapshot === undefined || route.snapshot === null || isValidSnapshot(route.snapshot))
+    );
+    
+    return { routes: valid.map(normalizeSavedRoute), invalid: routes.length - valid.length };
+}
+
+// Routes with the same name, start and end are treated as the same route
+function savedRouteKey(route) {
+    return [route.name, route.startAddress, route.endAddress].map(value => value.trim().toLowerCase()).join('|');
+}
+
+let pendingRouteImport = null;
+
+async function importSavedRoutesFile(file) {
+    if (!file) return;
+    
+    let backup;
+    try {
+        backup = parseSavedRoutesBackup(JSON.parse(await file.text()));
+    } catch (error) {
+        alert(error instanceof SyntaxError ? 'This file is not valid JSON.' : error.message);
+        return;
+    }
+    
+    // Later entries in the file win over earlier duplicates
+    const imported = new Map(backup.routes.map(route => [savedRouteKey(route), route]));
+    const existing = new Map(readLocalSavedRoutes().map(route => [savedRouteKey(route), route]));
+    
+    pendingRouteImport = [...imported.entries()].map(([key, route]) => ({ route, existing: existing.get(key) || null }));
+    displayRouteImportPreview(backup.invalid);
+}
+
+function displayRouteImportPreview(invalidCount) {
+    const content = document.getElementById('savedRoutesContent');
+    const added = pendingRouteImport.filter(item => !item.existing);
+    const replaced = pendingRouteImport.filter(item => item.existing);
+    
+    const list = (items) => items.map(({ route }) => `
+        <li>${escapeXml(route.name)} <span class="import-preview-route">${escapeXml(route.startAddress)} → ${escapeXml(route.endAddress)}</span></li>
+    `).join('');
+    
+    content.innerHTML = `
+        <div class="import-preview">
+            ${added.length > 0 ? `<h5>Will add ${added.length}</h5><ul>${list(added)}</ul>` : ''}
+            ${replaced.length > 0 ? `<h5>Will replace ${replaced.length}</h5><ul>${list(replaced)}</ul>` : ''}
+            ${pendingRouteImport.length === 0 ? '<p>No routes to import.</p>' : ''}
+            ${invalidCount > 0 ? `<p class="import-preview-warning">${invalidCount} invalid ${invalidCount === 1 ? 'entry' : 'entries'} will be skipped.</p>` : ''}
+            <div class="input-modal-actions">
+                <button class="input-modal-btn cancel-btn" onclick="cancelRouteImport()">Cancel</button>
+                ${pendingRouteImport.length > 0 ? '<button class="input-modal-btn confirm-btn" onclick="confirmRouteImport()">Import</button>' : ''}
+            </div>
+        </div>
+    `;
+}
+
+function cancelRouteImport() {
+    pendingRouteImport = null;
+    displaySavedRoutes();
+}
+
+// Replacements keep the existing route's id; new routes get fresh ids so backups from elsewhere can't clash
+async function confirmRouteImport() {
+    if (!pendingRouteImport) return;
+    
+    const savedRoutes = readLocalSavedRoutes();
+    const rejected = [];
+    let nextId = Date.now();
+    
+    for (const { route, existing } of pendingRouteImport) {
+        const { pendingSync, ...data } = route;
+        const incoming = { ...data, id: existing ? existing.id : nextId++ };
+        
+        let stored;
+        try {
+            stored = await pushSavedRoute(incoming);
+        } catch (error) {
+            if (!isRetryableRouteError(error)) {
+                rejected.push(`${incoming.name}: ${error.message}`);
+                continue;
+            }
+            console.warn('Importing route offline:', error);
+            stored = { ...incoming, pendingSync: true };
+        }
+        
+        const index = savedRoutes.findIndex(saved => saved.id === stored.id);
+        if (index === -1) savedRoutes.push(stored);
+        else savedRoutes[index] = stored;
+    }
+    
+    writeLocalSavedRoutes(savedRoutes);
+    pendingRouteImport = null;
+    displaySavedRoutes();
+    
+    if (rejected.length > 0) {
+        alert(`Some routes could not be imported:\n${rejected.join('\n')}`);
+    }
+}
+
+// Commute watcher - saved routes with a schedule get their forecast rechecked while the app is open
+// and a notification when bad weather shows up or the alerts change
+const COMMUTE_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const COMMUTE_LOOKAHEAD_HOURS = 12; // Start checking this long before each departure
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function formatCommuteSchedule(schedule) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const time = new Date(2000, 0, 1, hours, minutes).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const days = schedule.days.length === 7 ? 'Every day'
+        : schedule.days.join() === '1,2,3,4,5' ? 'Weekdays'
+        : schedule.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+    
+    return `${days} at ${time}`;
+}
+
+// Next scheduled departure after the given time, or null when no days are set
+function getNextCommuteDeparture(schedule, after = new Date()) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    
+    for (let offset = 0; offset <= 7; offset++) {
+        const departure = new Date(after);
+        departure.setDate(departure.getDate() + offset);
+        departure.setHours(hours, minutes, 0, 0);
+        
+        if (departure > after && schedule.days.includes(departure.getDay())) {
+            return departure;
+        }
+    }
+    
+    return null;
+}
+
+function editCommuteSchedule(routeId) {
+    const route = readLocalSavedRoutes().find(r => r.id === routeId);
+    if (!route) return;
     
-    // Clear addresses
-    currentRouteAddresses = null;
+    const schedule = isValidSchedule(route.schedule) ? route.schedule : { days: [1, 2, 3, 4, 5], time: '08:00' };
+    const content = document.getElementById('savedRoutesContent');
     
-    console.log('Route cleared');
+    // Routes can come from anyone sharing the Sync ID, so the name is escaped
+    content.innerHTML = `
+        <div class="commute-editor">
+            <h5>🔔 Commute schedule for ${escapeXml(route.name)}</h5>
+            <p>We'll recheck the forecast before each departure and notify you if bad weather appears or changes.</p>
+            <div class="commute-days">
+                ${WEEKDAY_NAMES.map((name, day) => `
+                    <label class="commute-day">
+                        <input type="checkbox" value="${day}" ${schedule.days.includes(day) ? 'checked' : ''}>
+                        ${name}
+                    </label>
+                `).join('')}
+            </div>
+            <label class="commute-time">
+                Departure
+                <input type="time" id="commuteTimeInput" value="${escapeXml(schedule.time)}">
+            </label>
+            <div class="input-modal-actions">
+                ${route.schedule ? `<button class="input-modal-btn cancel-btn" onclick="saveCommuteSchedule(${Number(route.id)}, false)">Remove</button>` : ''}
+                <button class="input-modal-btn cancel-btn" onclick="displaySavedRoutes()">Cancel</button>
+                <button class="input-modal-btn confirm-btn" onclick="saveCommuteSchedule(${Number(route.id)}, true)">Save</button>
+            </div>
+        </div>
+    `;
 }
 
-// Toggle map menu
-function toggleMapMenu() {
-    const mapMenu = document.getElementById('mapMenu');
-    if (mapMenu) {
-        mapMenu.classList.toggle('hidden');
+async function saveCommuteSchedule(routeId, enabled) {
+    const savedRoutes = readLocalSavedRoutes();
+    const index = savedRoutes.findIndex(r => r.id === routeId);
+    if (index === -1) return;
+    
+    let schedule = null;
+    if (enabled) {
+        const days = Array.from(document.querySelectorAll('.commute-day input:checked')).map(input => parseInt(input.value, 10));
+        const time = document.getElementById('commuteTimeInput').value;
+        if (days.length === 0 || !time) {
+            alert('Pick at least one day and a departure time.');
+            return;
+        }
+        schedule = { days, time };
+        
+        if ('Notification' in window && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+    }
+    
+    const { pendingSync, ...route } = savedRoutes[index];
+    const updated = { ...route, schedule };
+    try {
+        savedRoutes[index] = await pushSavedRoute(updated);
+    } catch (error) {
+        if (!isRetryableRouteError(error)) {
+            alert(`Could not save schedule: ${error.message}`);
+            return;
+        }
+        console.warn('Saving schedule offline:', error);
+        savedRoutes[index] = { ...updated, pendingSync: true };
     }
+    writeLocalSavedRoutes(savedRoutes);
+    
+    displaySavedRoutes();
+    checkCommutes();
 }
 
-// Saved Routes Management
-let currentRouteData = null; // Store current route for saving
-let inputModalCallback = null; // Callback for input modal
+// Directions for saved routes, kept for the session so repeated commute checks don't re-plan each time
+const savedRouteDirections = new Map();
 
-// Custom input modal functions
-function showInputModal(title, placeholder, defaultValue, callback) {
-    const modal = document.getElementById('inputModal');
-    const titleEl = document.getElementById('inputModalTitle');
-    const inputField = document.getElementById('inputModalField');
+// Forecast a saved route for a departure, planning it from its addresses the first time
+async function forecastSavedRoute(savedRoute, departure) {
+    const locations = [savedRoute.startAddress, ...savedRoute.stops.map(stop => stop.location), savedRoute.endAddress];
+    const key = JSON.stringify([savedRoute.travelMode, ...locations]);
     
-    titleEl.textContent = title;
-    inputField.placeholder = placeholder;
-    inputField.value = defaultValue || '';
-    inputModalCallback = callback;
+    let route = savedRouteDirections.get(key);
+    if (!route) {
+        const waypoints = [];
+        for (const location of locations) {
+            waypoints.push(await geocodeLocation(location));
+        }
+        [route] = await getRoutes(waypoints, getDirectionsProfile(savedRoute.travelMode, waypoints.length));
+        savedRouteDirections.set(key, route);
+    }
     
-    modal.classList.remove('hidden');
-    inputField.focus();
-    inputField.select();
+    const [{ weatherData }] = await getWeatherForRoutes([route], departure, savedRoute.stops);
+    return { route, weatherData };
 }
 
-function closeInputModal() {
-    const modal = document.getElementById('inputModal');
-    const inputField = document.getElementById('inputModalField');
-    
-    modal.classList.add('hidden');
-    inputField.value = '';
-    inputModalCallback = null;
+// Last alert summary we notified about, per route and departure, so unchanged forecasts stay quiet
+function readCommuteState() {
+    return JSON.parse(localStorage.getItem('commuteWatchState') || '{}');
 }
 
-function confirmInputModal() {
-    const inputField = document.getElementById('inputModalField');
-    const value = inputField.value.trim();
+let commuteCheckRunning = false;
+
+async function checkCommutes() {
+    // Saving a schedule triggers a check, which mustn't overlap the timer's
+    if (commuteCheckRunning) return;
+    commuteCheckRunning = true;
     
-    if (value && inputModalCallback) {
-        inputModalCallback(value);
+    try {
+        await runCommuteChecks();
+    } finally {
+        commuteCheckRunning = false;
     }
-    
-    closeInputModal();
 }
 
-// Handle Enter key in input modal
-document.addEventListener('DOMContentLoaded', () => {
-    const inputField = document.getElementById('inputModalField');
-    if (inputField) {
-        inputField.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                confirmInputModal();
+async function runCommuteChecks() {
+    const now = new Date();
+    const state = readCommuteState();
+    const nextState = {};
+    
+    for (const savedRoute of readLocalSavedRoutes().filter(r => r.schedule)) {
+        const departure = getNextCommuteDeparture(savedRoute.schedule, now);
+        if (!departure || departure - now > COMMUTE_LOOKAHEAD_HOURS * 3600000) continue;
+        
+        const key = `${savedRoute.id}@${departure.toISOString()}`;
+        nextState[key] = state[key];
+        
+        try {
+            const { route, weatherData } = await forecastSavedRoute(savedRoute, departure);
+            const alerts = buildWeatherAlerts(weatherData, route.distance, getAlertSettings(savedRoute.travelMode, crosswindLimit));
+            const summary = [...new Set(alerts.map(alert => alert.condition))].join(', ');
+            
+            // Stay quiet for a clear first check; speak up when something appears or changes
+            const previous = state[key];
+            if (summary !== (previous === undefined ? '' : previous)) {
+                notifyCommute(savedRoute, departure, summary, alerts);
             }
-        });
+            nextState[key] = summary;
+        } catch (error) {
+            console.error(`Commute check failed for ${savedRoute.name}:`, error);
+        }
     }
-});
+    
+    // Only departures still being watched are kept
+    localStorage.setItem('commuteWatchState', JSON.stringify(nextState));
+}
 
-// Save current route to localStorage
-function saveCurrentRoute() {
-    if (!currentRouteAddresses || !currentRouteData) {
-        alert('No route to save!');
-        return;
-    }
+function notifyCommute(savedRoute, departure, summary, alerts) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
     
-    const defaultName = `${currentRouteAddresses.start} → ${currentRouteAddresses.end}`;
+    const time = departure.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const body = summary
+        ? alerts.slice(0, 3).map(alert => `${alert.condition} from ${formatDistanceMarker(alert.startDistance)} (${alert.startTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })})`).join('\n')
+        : 'The weather along your route has cleared.';
     
-    showInputModal(
-        'Save Route',
-        'Enter a name for this route',
-        defaultName,
-        (routeName) => {
-            const savedRoute = {
-                id: Date.now(),
-                name: routeName,
-                startAddress: currentRouteAddresses.start,
-                endAddress: currentRouteAddresses.end,
-                distance: currentRouteData.distance,
-                route: currentRouteData.route
-            };
-            
-            const savedRoutes = JSON.parse(localStorage.getItem('savedRoutes') || '[]');
-            savedRoutes.push(savedRoute);
-            localStorage.setItem('savedRoutes', JSON.stringify(savedRoutes));
-            
-            // Show success feedback
-            const saveBtn = document.getElementById('saveRouteBtn');
-            const saveBtnMobile = document.getElementById('saveRouteBtnMobile');
-            const originalText = saveBtn?.textContent;
-            
-            if (saveBtn) saveBtn.textContent = '✓ Saved!';
-            if (saveBtnMobile) saveBtnMobile.textContent = '✓ Saved!';
-            
-            setTimeout(() => {
-                if (saveBtn) saveBtn.textContent = originalText;
-                if (saveBtnMobile) saveBtnMobile.textContent = originalText;
-            }, 2000);
-        }
-    );
+    const notification = new Notification(`${savedRoute.name} at ${time}: ${summary || 'All clear'}`, {
+        body,
+        tag: `commute-${savedRoute.id}`,
+        icon: '/favicon-32x32.png'
+    });
+    
+    notification.onclick = () => {
+        window.focus();
+        loadSavedRoute(savedRoute.id, departure);
+        notification.close();
+    };
 }
 
-// Load a saved route
-async function loadSavedRoute(routeId) {
-    const savedRoutes = JSON.parse(localStorage.getItem('savedRoutes') || '[]');
-    const route = savedRoutes.find(r => r.id === routeId);
+function startCommuteWatcher() {
+    setTimeout(checkCommutes, 5000);
+    setInterval(checkCommutes, COMMUTE_CHECK_INTERVAL_MS);
+}
+
+// Forecast diff - each saved route keeps the forecast it was last seen with,
+// and rechecking it reports what changed and marks those spots on the map
+const TEMPERATURE_SWING_C = 3; // About 5°F
+const SNAPSHOT_MATCH_METERS = 3000; // How far apart two sampled points can be and still be compared
+const SNAPSHOT_DEPARTURE_TOLERANCE_MINUTES = 30; // Further apart and the diff would mostly show the time shift
+let recheckingSavedRouteId = null;
+let forecastDiff = null;
+let forecastDiffMarkers = [];
+
+function buildWeatherSnapshot(weatherData, totalDistance) {
+    return {
+        takenAt: new Date().toISOString(),
+        departure: weatherData[0].time.toISOString(),
+        points: weatherData.map(w => ({
+            coords: w.coords,
+            distanceFromStart: w.distanceFromStart,
+            temperature: w.temperature,
+            weatherCode: w.weatherCode
+        })),
+        alerts: [...new Set(buildWeatherAlerts(weatherData, totalDistance, getTravelModeSettings()).map(alert => alert.condition))]
+    };
+}
+
+// Minutes between two times of day, ignoring the date
+function getTimeOfDayGapMinutes(a, b) {
+    const minutes = date => date.getHours() * 60 + date.getMinutes();
+    const gap = Math.abs(minutes(a) - minutes(b));
+    return Math.min(gap, 24 * 60 - gap);
+}
+
+// The snapshot's departure time of day, today if it hasn't passed (or only just has), otherwise tomorrow
+function getSnapshotRecheckDeparture(snapshot) {
+    if (!snapshot || !snapshot.departure) return null;
+    const previous = new Date(snapshot.departure);
+    if (isNaN(previous)) return null;
     
-    if (!route) {
-        alert('Route not found!');
-        return;
+    const now = new Date();
+    const departure = new Date(now);
+    departure.setHours(previous.getHours(), previous.getMinutes(), 0, 0);
+    
+    if (now - departure > SNAPSHOT_DEPARTURE_TOLERANCE_MINUTES * 60000) {
+        departure.setDate(departure.getDate() + 1);
     }
+    return departure < now ? now : departure;
+}
+
+function describeSnapshotCategory(weatherCode) {
+    return getWeatherCategory(weatherCode) || 'Clear';
+}
+
+// Compare a snapshot with a fresh forecast point by point along the route
+function diffWeatherSnapshots(previous, current) {
+    const added = current.alerts.filter(condition => !previous.alerts.includes(condition));
+    const cleared = previous.alerts.filter(condition => !current.alerts.includes(condition));
+    const changes = [];
     
-    // Close the modal
-    toggleSavedRoutesModal();
+    current.points.forEach(point => {
+        const match = previous.points.reduce((closest, candidate) =>
+            !closest || Math.abs(candidate.distanceFromStart - point.distanceFromStart) < Math.abs(closest.distanceFromStart - point.distanceFromStart)
+                ? candidate : closest, null);
+        if (!match || Math.abs(match.distanceFromStart - point.distanceFromStart) > SNAPSHOT_MATCH_METERS) return;
+        
+        const from = describeSnapshotCategory(match.weatherCode);
+        const to = describeSnapshotCategory(point.weatherCode);
+        const temperatureChange = point.temperature - match.temperature;
+        
+        if (from !== to || Math.abs(temperatureChange) >= TEMPERATURE_SWING_C) {
+            changes.push({
+                coords: point.coords,
+                distanceFromStart: point.distanceFromStart,
+                from: from !== to ? from : null,
+                to: from !== to ? to : null,
+                temperatureChange: Math.abs(temperatureChange) >= TEMPERATURE_SWING_C ? temperatureChange : null
+            });
+        }
+    });
     
-    // Set the form inputs
-    const startInput = document.getElementById('startLocation');
-    const endInput = document.getElementById('endLocation');
-    const startInputMobile = document.getElementById('startLocationMobile');
-    const endInputMobile = document.getElementById('endLocationMobile');
+    return { since: previous.takenAt, previousDeparture: previous.departure, added, cleared, changes };
+}
+
+async function compareWithSavedSnapshot(routeId, route, weatherData) {
+    const savedRoutes = readLocalSavedRoutes();
+    const index = savedRoutes.findIndex(r => r.id === routeId);
+    if (index === -1) return;
     
-    if (startInput) startInput.value = route.startAddress;
-    if (endInput) endInput.value = route.endAddress;
-    if (startInputMobile) startInputMobile.value = route.startAddress;
-    if (endInputMobile) endInputMobile.value = route.endAddress;
+    const snapshot = buildWeatherSnapshot(weatherData, route.distance);
+    const previous = savedRoutes[index].snapshot;
+    const previousDeparture = previous && previous.departure ? new Date(previous.departure) : null;
     
-    // Set departure time to now
-    const now = new Date();
-    const localDateTime = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
-    const departureInput = document.getElementById('departureTime');
-    const departureInputMobile = document.getElementById('departureTimeMobile');
-    if (departureInput) departureInput.value = localDateTime;
-    if (departureInputMobile) departureInputMobile.value = localDateTime;
+    // Only compare forecasts for about the same time of day
+    if (previousDeparture && !isNaN(previousDeparture) &&
+        getTimeOfDayGapMinutes(previousDeparture, weatherData[0].time) <= SNAPSHOT_DEPARTURE_TOLERANCE_MINUTES) {
+        forecastDiff = diffWeatherSnapshots(previous, snapshot);
+        displayForecastDiff();
+        displayForecastDiffMarkers();
+    }
     
-    // Trigger route calculation
-    document.getElementById('routeForm').dispatchEvent(new Event('submit'));
+    // The next recheck compares against this forecast
+    const { pendingSync, ...saved } = savedRoutes[index];
+    const updated = { ...saved, snapshot };
+    try {
+        savedRoutes[index] = await pushSavedRoute(updated);
+    } catch (error) {
+        if (!isRetryableRouteError(error)) {
+            console.warn('Server rejected forecast snapshot:', error);
+            return;
+        }
+        console.warn('Saving forecast snapshot offline:', error);
+        savedRoutes[index] = { ...updated, pendingSync: true };
+    }
+    writeLocalSavedRoutes(savedRoutes);
 }
 
-// Delete a saved route
-function deleteSavedRoute(routeId) {
-    if (!confirm('Are you sure you want to delete this route?')) return;
-    
-    const savedRoutes = JSON.parse(localStorage.getItem('savedRoutes') || '[]');
-    const filteredRoutes = savedRoutes.filter(r => r.id !== routeId);
-    localStorage.setItem('savedRoutes', JSON.stringify(filteredRoutes));
-    
-    // Refresh the modal
-    displaySavedRoutes();
+function describeForecastChange(change) {
+    const parts = [];
+    if (change.from) parts.push(`${change.from} → ${change.to}`);
+    if (change.temperatureChange !== null) parts.push(formatTemperatureChange(change.temperatureChange));
+    return parts.join(', ');
 }
 
-// Display saved routes in modal
-function displaySavedRoutes() {
-    const savedRoutes = JSON.parse(localStorage.getItem('savedRoutes') || '[]');
-    const content = document.getElementById('savedRoutesContent');
+function displayForecastDiff() {
+    const panels = [
+        document.getElementById('forecastDiff'),
+        document.getElementById('forecastDiffMobile')
+    ];
     
-    if (savedRoutes.length === 0) {
-        content.innerHTML = '<p style="color: #9ca3af; text-align: center; padding: 20px;">No saved routes yet. Save a route to see it here!</p>';
+    if (!forecastDiff) {
+        panels.forEach(panel => panel && panel.classList.add('hidden'));
         return;
     }
     
-    content.innerHTML = savedRoutes.map(route => `
-        <div class="saved-route-item">
-            <div class="saved-route-info">
-                <div class="saved-route-name">${route.name}</div>
-                <div class="saved-route-details">
-                    <span>${route.startAddress}</span>
-                    <span style="color: #9ca3af; margin: 0 8px;">→</span>
-                    <span>${route.endAddress}</span>
-                </div>
-                <div class="saved-route-distance">${route.distance}</div>
-            </div>
-            <div class="saved-route-actions">
-                <button class="saved-route-btn load-btn" onclick="loadSavedRoute(${route.id})">Load</button>
-                <button class="saved-route-btn delete-btn" onclick="deleteSavedRoute(${route.id})">Delete</button>
-            </div>
-        </div>
-    `).join('');
+    const { since, previousDeparture, added, cleared, changes } = forecastDiff;
+    const sinceText = new Date(since).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    const departureText = new Date(previousDeparture).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    
+    // Snapshots come from the server and may have been saved by someone else sharing the Sync ID
+    const lines = [
+        ...added.map(condition => `<div class="forecast-diff-added">＋ ${escapeXml(condition)}</div>`),
+        ...cleared.map(condition => `<div class="forecast-diff-cleared">－ ${escapeXml(condition)} cleared</div>`),
+        ...changes.map(change => `<div>📍 ${formatDistanceMarker(change.distanceFromStart)}: ${escapeXml(describeForecastChange(change))}</div>`)
+    ];
+    
+    const html = `
+        <h4 class="route-comparison-title">Changes since ${sinceText}</h4>
+        <div class="forecast-diff-note">Last forecast was for a ${departureText} departure</div>
+        ${lines.length > 0 ? lines.join('') : '<div>No notable changes.</div>'}
+    `;
+    
+    panels.forEach(panel => {
+        if (!panel) return;
+        panel.innerHTML = html;
+        panel.classList.remove('hidden');
+    });
+}
+
+function displayForecastDiffMarkers() {
+    forecastDiffMarkers.forEach(marker => marker.remove());
+    forecastDiffMarkers = forecastDiff.changes.map(change => {
+        const element = document.createElement('div');
+        element.className = 'forecast-diff-marker';
+        element.textContent = 'Δ';
+        
+        return new mapboxgl.Marker(element)
+            .setLngLat(change.coords)
+            .setPopup(new mapboxgl.Popup({ offset: 12 }).setText(`Changed: ${describeForecastChange(change)}`))
+            .addTo(map);
+    });
+}
+
+function clearForecastDiff() {
+    forecastDiff = null;
+    forecastDiffMarkers.forEach(marker => marker.remove());
+    forecastDiffMarkers = [];
+    displayForecastDiff();
 }
 
 // Toggle saved routes modal
@@ -1551,11 +4170,198 @@ function toggleSavedRoutesModal() {
     }
 }
 
+// Best departure time finder
+let departureCandidates = [];
+
+// How much each bad-weather category counts towards a departure's risk score
+const WEATHER_RISK_WEIGHTS = {
+    'Fog': 2,
+    'Rain': 2,
+    'Heavy rain': 3,
+    'Snow': 4,
+    'Heavy snow': 5,
+    'Thunderstorm': 5,
+    'Freezing rain': 5,
+    'Low visibility': 2,
+    'Strong gusts': 2,
+    'Strong wind': 2,
+    'Rain likely': 1,
+    'Ice risk': 5,
+    'Night driving': 1,
+    'Sun glare': 2,
+    'Strong crosswind': 3
+};
+
+// Format a Date as a value for datetime-local inputs (local timezone)
+function toLocalDateTimeValue(date) {
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Score a route's weather by summing category weights over every sampled point
+function scoreWeatherRisk(weatherData, mode = getTravelModeSettings()) {
+    return weatherData.reduce((score, w) => {
+        return score + ALERT_CATEGORIZERS.reduce((pointScore, categorize) => {
+            const category = categorize(w, mode);
+            return pointScore + (category ? WEATHER_RISK_WEIGHTS[category] : 0);
+        }, 0);
+    }, 0);
+}
+
+// Toggle departure finder modal
+function toggleDepartureModal() {
+    const modal = document.getElementById('departureModal');
+    if (!modal) return;
+    
+    const isHidden = modal.classList.toggle('hidden');
+    if (isHidden) return;
+    
+    // Default window: the chosen departure time through the next 8 hours
+    const startInput = document.getElementById('departureWindowStart');
+    const endInput = document.getElementById('departureWindowEnd');
+    const departureValue = document.getElementById('departureTime')?.value;
+    const windowStart = departureValue ? new Date(departureValue) : new Date();
+    
+    if (!startInput.value) startInput.value = toLocalDateTimeValue(windowStart);
+    if (!endInput.value) endInput.value = toLocalDateTimeValue(new Date(windowStart.getTime() + 8 * 60 * 60 * 1000));
+}
+
+// Run the current route at several departure times and rank them by weather risk
+async function findBestDepartureTime() {
+    const resultsDiv = document.getElementById('departureResults');
+    const findBtn = document.getElementById('findDepartureBtn');
+    
+    if (!currentRouteData) {
+        resultsDiv.innerHTML = '<p class="departure-message">Calculate a route first.</p>';
+        return;
+    }
+    
+    const windowStart = new Date(document.getElementById('departureWindowStart').value);
+    const windowEnd = new Date(document.getElementById('departureWindowEnd').value);
+    const stepMinutes = parseInt(document.getElementById('departureWindowStep').value, 10);
+    
+    if (isNaN(windowStart) || isNaN(windowEnd) || windowEnd < windowStart) {
+        resultsDiv.innerHTML = '<p class="departure-message">Choose a valid departure window.</p>';
+        return;
+    }
+    
+    // Build candidate departures, capped so a wide window doesn't flood the weather proxy
+    const candidates = [];
+    for (let t = windowStart.getTime(); t <= windowEnd.getTime() && candidates.length < 24; t += stepMinutes * 60000) {
+        candidates.push(new Date(t));
+    }
+    
+    const { route } = currentRouteData;
+    const stops = currentRouteAddresses.stops || [];
+    const routePoints = sampleRoute(route);
+    const totalDistance = route.distance;
+    
+    findBtn.disabled = true;
+    resultsDiv.innerHTML = '<p class="departure-message">Checking departure times...</p>';
+    
+    try {
+        // Check one departure at a time so overlapping hours come from the proxy's cache
+        // instead of every candidate hitting Open-Meteo at once
+        const results = [];
+        for (const departure of candidates) {
+            resultsDiv.innerHTML = `<p class="departure-message">Checking departure times (${results.length + 1} of ${candidates.length})...</p>`;
+            const weatherData = await getWeatherForRoute(routePoints, departure, route.duration, buildStopDwells(route, stops));
+            results.push({
+                departure,
+                weatherData,
+                score: scoreWeatherRisk(weatherData),
+                alerts: buildWeatherAlerts(weatherData, totalDistance, getTravelModeSettings())
+            });
+        }
+        departureCandidates = results;
+        
+        displayDepartureCandidates();
+    } catch (error) {
+        console.error('Departure finder error:', error);
+        resultsDiv.innerHTML = `<p class="departure-message">${error.message}</p>`;
+    } finally {
+        findBtn.disabled = false;
+    }
+}
+
+// Show candidates ranked by risk, each with a bar scaled to the worst option
+function displayDepartureCandidates() {
+    const resultsDiv = document.getElementById('departureResults');
+    const maxScore = Math.max(1, ...departureCandidates.map(c => c.score));
+    
+    // Lowest risk first, earlier departure wins ties
+    const ranked = departureCandidates
+        .map((candidate, index) => ({ candidate, index }))
+        .sort((a, b) => a.candidate.score - b.candidate.score || a.candidate.departure - b.candidate.departure);
+    
+    resultsDiv.innerHTML = ranked.map(({ candidate, index }, rank) => {
+        const time = candidate.departure.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+        const conditions = candidate.alerts.length === 0
+            ? 'Good conditions throughout'
+            : [...new Set(candidate.alerts.map(alert => alert.condition))].join(', ');
+        const barWidth = Math.round((candidate.score / maxScore) * 100);
+        
+        return `
+            <div class="departure-item">
+                <div class="departure-info">
+                    <div class="departure-time">${rank + 1}. ${time}</div>
+                    <div class="departure-conditions">${conditions}</div>
+                    <div class="departure-bar"><span style="width: ${barWidth}%;"></span></div>
+                </div>
+                <button class="saved-route-btn load-btn" onclick="applyDepartureCandidate(${index})">Use</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// Apply a candidate departure time and show its weather on the map
+async function applyDepartureCandidate(index) {
+    const candidate = departureCandidates[index];
+    if (!candidate || !currentRouteData) return;
+    
+    const departureValue = toLocalDateTimeValue(candidate.departure);
+    const departureInput = document.getElementById('departureTime');
+    const departureInputMobile = document.getElementById('departureTimeMobile');
+    if (departureInput) departureInput.value = departureValue;
+    if (departureInputMobile) departureInputMobile.value = departureValue;
+    
+    const { route } = currentRouteData;
+    toggleDepartureModal();
+    
+    // Re-check the other route options for the new departure so the comparison stays fair
+    try {
+        const others = routeAlternatives.filter((_, i) => i !== selectedRouteIndex).map(alternative => alternative.route);
+        const refreshed = await getWeatherForRoutes(others, candidate.departure, currentRouteAddresses.stops || []);
+        routeAlternatives = routeAlternatives.map((alternative, i) =>
+            i === selectedRouteIndex ? { route, weatherData: candidate.weatherData } : refreshed.shift()
+        );
+    } catch (error) {
+        console.error('Failed to refresh route options:', error);
+        routeAlternatives[selectedRouteIndex] = { route, weatherData: candidate.weatherData };
+    }
+    
+    clearMap();
+    displayRouteWithWeather(route, candidate.weatherData);
+    displayAlternativeRoutes();
+    displayRouteInfo(route, candidate.weatherData, false);
+    displayRouteComparison();
+    markForecastFresh();
+    
+    saveRouteToCache({
+        route,
+        weatherData: candidate.weatherData,
+        addresses: currentRouteAddresses,
+        departureTime: departureValue,
+        alternatives: routeAlternatives,
+        selectedRouteIndex
+    });
+}
+
 // Close modal when clicking outside
 document.addEventListener('click', (e) => {
     const legendModal = document.getElementById('legendModal');
     const weatherModal = document.getElementById('weatherModal');
     const savedRoutesModal = document.getElementById('savedRoutesModal');
+    const departureModal = document.getElementById('departureModal');
     const inputModal = document.getElementById('inputModal');
     const mapMenu = document.getElementById('mapMenu');
     const menuButton = document.getElementById('menuButton');
@@ -1572,6 +4378,10 @@ document.addEventListener('click', (e) => {
         savedRoutesModal.classList.add('hidden');
     }
     
+    if (e.target === departureModal) {
+        departureModal.classList.add('hidden');
+    }
+    
     if (e.target === inputModal) {
         closeInputModal();
     }
@@ -0,0 +1,527 @@
+// Route weather rules shared by the page and the server: how a route is sampled,
+// when each point is reached, and which conditions raise an alert.
+// In the page this is a plain script whose functions become globals; Node loads it with require().
+(function (root, factory) {
+    const core = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = core;
+    } else {
+        Object.assign(root, core);
+    }
+})(this, function () {
+    // Vehicle profiles - crosswind limits in km/h, roughly where each vehicle type starts to get pushed around
+    const VEHICLE_CROSSWIND_LIMITS = {
+        car: 80,
+        suv: 64,
+        motorcycle: 48,
+        'box-truck': 48,
+        rv: 40
+    };
+
+    // Travel mode - Mapbox Directions profile plus how sensitive the traveller is to weather
+    // Wind thresholds are km/h, visibility meters; null means that check doesn't apply to the mode
+    const TRAVEL_MODES = {
+        driving: { profile: 'driving', gustKmh: 64, windKmh: null, visibilityMeters: 1609, rainChance: null },
+        'driving-traffic': { profile: 'driving-traffic', gustKmh: 64, windKmh: null, visibilityMeters: 1609, rainChance: null },
+        cycling: { profile: 'cycling', gustKmh: 40, windKmh: 32, visibilityMeters: 1609, rainChance: 50 },
+        walking: { profile: 'walking', gustKmh: 48, windKmh: 40, visibilityMeters: 1000, rainChance: 60 }
+    };
+
+    // Mapbox Directions takes up to 25 coordinates, but only 3 with live traffic
+    const MAX_DIRECTIONS_WAYPOINTS = 25;
+    const MAX_TRAFFIC_WAYPOINTS = 3;
+
+    // Directions profile for a travel mode, routing without traffic when there are too many stops for it
+    function getDirectionsProfile(travelMode, waypointCount) {
+        const { profile } = TRAVEL_MODES[travelMode];
+        return profile === 'driving-traffic' && waypointCount > MAX_TRAFFIC_WAYPOINTS ? 'driving' : profile;
+    }
+
+    // Alert thresholds for a travel mode plus the vehicle's crosswind limit (km/h)
+    function getAlertSettings(travelMode, crosswindKmh = VEHICLE_CROSSWIND_LIMITS.car) {
+        return { ...(Object.hasOwn(TRAVEL_MODES, travelMode) ? TRAVEL_MODES[travelMode] : TRAVEL_MODES.driving), crosswindKmh };
+    }
+
+    // Driving time at which each stop is reached, paired with how long we stay there
+    function buildStopDwells(route, stops) {
+        const dwells = [];
+        let travelSeconds = 0;
+        
+        (route.legs || []).slice(0, -1).forEach((leg, i) => {
+            travelSeconds += leg.duration;
+            const dwellMinutes = stops[i] ? stops[i].dwellMinutes : 0;
+            if (dwellMinutes > 0) {
+                dwells.push({ travelSeconds, dwellSeconds: dwellMinutes * 60 });
+            }
+        });
+        
+        return dwells;
+    }
+
+    // Great-circle distance in meters between two [lon, lat] points
+    function getDistanceMeters(from, to) {
+        const rad = Math.PI / 180;
+        const dLat = (to[1] - from[1]) * rad;
+        const dLon = (to[0] - from[0]) * rad;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(from[1] * rad) * Math.cos(to[1] * rad) *
+                  Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Join per-leg Directions annotations into one list per edge of the full route geometry
+    function getRouteAnnotation(route) {
+        const legs = route.legs || [];
+        if (legs.length === 0 || !legs.every(leg => leg.annotation && leg.annotation.duration && leg.annotation.distance)) {
+            return null;
+        }
+        
+        const annotation = {
+            duration: legs.flatMap(leg => leg.annotation.duration),
+            distance: legs.flatMap(leg => leg.annotation.distance)
+        };
+        
+        // Only usable when there is exactly one value per edge
+        if (annotation.duration.length !== route.geometry.coordinates.length - 1) {
+            return null;
+        }
+        
+        return annotation;
+    }
+
+    // Sample points along the route at regular intervals
+    // Each point carries its distance (meters) and, when annotations are available,
+    // driving time (seconds) from the start of the route
+    function sampleRoutePoints(coordinates, intervalKm, annotation = null) {
+        const points = [];
+        const R = 6371; // Earth's radius in km
+        
+        let accumulatedDistance = 0;
+        let distanceFromStart = 0;
+        let timeFromStart = annotation ? 0 : null;
+        points.push({
+            coords: coordinates[0],
+            distance: 0,
+            distanceFromStart,
+            timeFromStart
+        });
+        
+        for (let i = 1; i < coordinates.length; i++) {
+            const [lon1, lat1] = coordinates[i - 1];
+            const [lon2, lat2] = coordinates[i];
+            
+            // Haversine formula for distance
+            const dLat = (lat2 - lat1) * Math.PI / 180;
+            const dLon = (lon2 - lon1) * Math.PI / 180;
+            const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+            const segmentDistance = R * c;
+            
+            accumulatedDistance += segmentDistance;
+            
+            // Prefer the route's own per-edge distance and duration
+            if (annotation) {
+                distanceFromStart += annotation.distance[i - 1];
+                timeFromStart += annotation.duration[i - 1];
+            } else {
+                distanceFromStart += segmentDistance * 1000;
+            }
+            
+            // Add point if we've traveled enough distance
+            if (accumulatedDistance >= intervalKm) {
+                points.push({
+                    coords: coordinates[i],
+                    distance: accumulatedDistance,
+                    distanceFromStart,
+                    timeFromStart
+                });
+                accumulatedDistance = 0;
+            }
+        }
+        
+        // Always add the last point
+        if (coordinates.length > 0) {
+            const lastCoord = coordinates[coordinates.length - 1];
+            if (points[points.length - 1].coords !== lastCoord) {
+                points.push({
+                    coords: lastCoord,
+                    distance: points[points.length - 1].distance + accumulatedDistance,
+                    distanceFromStart,
+                    timeFromStart
+                });
+            }
+        }
+        
+        return points;
+    }
+
+    // Compass bearing (degrees clockwise from north) from one [lon, lat] to another
+    function getBearing(from, to) {
+        const rad = Math.PI / 180;
+        const [lon1, lat1] = [from[0] * rad, from[1] * rad];
+        const [lon2, lat2] = [to[0] * rad, to[1] * rad];
+        
+        const y = Math.sin(lon2 - lon1) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lon2 - lon1);
+        
+        return (Math.atan2(y, x) / rad + 360) % 360;
+    }
+
+    // Direction of travel at a sampled point, looking ahead to the next one
+    function getPointHeading(routePoints, index) {
+        if (routePoints.length < 2) return null;
+        
+        const from = index < routePoints.length - 1 ? routePoints[index] : routePoints[index - 1];
+        const to = index < routePoints.length - 1 ? routePoints[index + 1] : routePoints[index];
+        
+        return getBearing(from.coords, to.coords);
+    }
+
+    // Route points are sampled every 5km
+    const SAMPLE_INTERVAL_KM = 5;
+
+    function sampleRoute(route) {
+        return sampleRoutePoints(route.geometry.coordinates, SAMPLE_INTERVAL_KM, getRouteAnnotation(route));
+    }
+
+    // Where and when to look up the forecast for each sampled point
+    // Uses the driving time to each point, or spreads the duration by distance when the route has no annotations
+    function buildWeatherRequestPoints(routePoints, departureTime, totalDurationSeconds, stopDwells = []) {
+        const departureDate = new Date(departureTime);
+        const totalRouteDistance = routePoints[routePoints.length - 1].distanceFromStart;
+        
+        return routePoints.map((point) => {
+            const [lon, lat] = point.coords;
+            const secondsOffset = point.timeFromStart !== null
+                ? point.timeFromStart
+                : totalDurationSeconds * (totalRouteDistance > 0 ? point.distanceFromStart / totalRouteDistance : 0);
+            
+            // Dwell time at every stop already reached pushes back later legs
+            const dwellOffset = stopDwells
+                .filter(stop => stop.travelSeconds < secondsOffset)
+                .reduce((sum, stop) => sum + stop.dwellSeconds, 0);
+            const pointTime = new Date(departureDate.getTime() + (secondsOffset + dwellOffset) * 1000);
+            
+            return { lat, lon, time: pointTime };
+        });
+    }
+
+    // Pair each sampled point with the weather looked up for it (same order as buildWeatherRequestPoints)
+    function combineRouteWeather(routePoints, requestPoints, weather) {
+        return weather.map((w, index) => ({
+            coords: routePoints[index].coords,
+            heading: getPointHeading(routePoints, index),
+            distanceFromStart: routePoints[index].distanceFromStart,
+            temperature: w.temperature,
+            apparentTemperature: w.apparentTemperature,
+            precipitation: w.precipitation,
+            recentPrecipitation: w.recentPrecipitation,
+            precipitationProbability: w.precipitationProbability,
+            snowfall: w.snowfall,
+            weatherCode: w.weatherCode,
+            windSpeed: w.windSpeed,
+            windGusts: w.windGusts,
+            windDirection: w.windDirection,
+            visibility: w.visibility,
+            elevation: w.elevation,
+            time: requestPoints[index].time
+        }));
+    }
+
+    // Plain-language name for a WMO weather code
+    function getWeatherDescription(weatherCode) {
+        const descriptions = {
+            0: 'Clear sky',
+            1: 'Mainly clear',
+            2: 'Partly cloudy',
+            3: 'Overcast',
+            45: 'Foggy',
+            48: 'Foggy',
+            51: 'Light drizzle',
+            53: 'Drizzle',
+            55: 'Heavy drizzle',
+            56: 'Light freezing drizzle',
+            57: 'Dense freezing drizzle',
+            61: 'Light rain',
+            63: 'Rain',
+            65: 'Heavy rain',
+            66: 'Light freezing rain',
+            67: 'Heavy freezing rain',
+            71: 'Light snow',
+            73: 'Snow',
+            75: 'Heavy snow',
+            77: 'Snow grains',
+            80: 'Light rain showers',
+            81: 'Rain showers',
+            82: 'Heavy rain showers',
+            85: 'Light snow showers',
+            86: 'Snow showers',
+            95: 'Thunderstorm',
+            96: 'Thunderstorm with hail',
+            99: 'Severe thunderstorm'
+        };
+        return descriptions[weatherCode] || 'Unknown';
+    }
+
+    // Road ice risk: freezing precipitation, precipitation at or below freezing,
+    // or roads still wet from recent precipitation once the temperature drops below freezing
+    const FREEZING_PRECIPITATION_CODES = [56, 57, 66, 67];
+
+    function hasIceRisk(w) {
+        if (FREEZING_PRECIPITATION_CODES.includes(w.weatherCode)) return true;
+        // A missing temperature is unknown, not freezing
+        if (typeof w.temperature !== 'number' || w.temperature > 0) return false;
+        
+        return w.precipitation > 0 || w.recentPrecipitation > 0;
+    }
+
+    // Sun position for a time and place (elevation above the horizon and azimuth clockwise from north, in degrees)
+    function getSunPosition(date, lat, lon) {
+        const rad = Math.PI / 180;
+        const days = date.getTime() / 86400000 - 10957.5; // Days since J2000
+        
+        const meanLongitude = 280.460 + 0.9856474 * days;
+        const meanAnomaly = (357.528 + 0.9856003 * days) * rad;
+        const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * rad;
+        const obliquity = (23.439 - 0.0000004 * days) * rad;
+        
+        const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+        const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+        const hourAngle = (280.46061837 + 360.98564736629 * days + lon) * rad - rightAscension;
+        const latRad = lat * rad;
+        
+        const elevation = Math.asin(Math.sin(latRad) * Math.sin(declination) + Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle));
+        const azimuth = Math.atan2(-Math.sin(hourAngle), Math.tan(declination) * Math.cos(latRad) - Math.sin(latRad) * Math.cos(hourAngle));
+        
+        return {
+            elevation: elevation / rad,
+            azimuth: (azimuth / rad + 360) % 360
+        };
+    }
+
+    // Sun is considered down once its upper edge drops below the horizon (refraction included)
+    const SUNSET_ELEVATION = -0.833;
+
+    // Sunrise and sunset on the point's local solar day, found by scanning sun elevation
+    // Either can be null during polar day or night
+    function getSunTimes(date, lat, lon) {
+        const offsetMs = (lon / 15) * 3600000;
+        const localDay = new Date(date.getTime() + offsetMs).toISOString().split('T')[0];
+        const dayStart = new Date(`${localDay}T00:00:00Z`).getTime() - offsetMs;
+        const stepMs = 10 * 60000;
+        
+        let sunrise = null;
+        let sunset = null;
+        let previous = getSunPosition(new Date(dayStart), lat, lon).elevation - SUNSET_ELEVATION;
+        
+        for (let t = dayStart + stepMs; t <= dayStart + 86400000; t += stepMs) {
+            const current = getSunPosition(new Date(t), lat, lon).elevation - SUNSET_ELEVATION;
+            
+            // Interpolate the crossing inside this step
+            if ((previous < 0) !== (current < 0)) {
+                const crossing = new Date(t - stepMs + stepMs * (previous / (previous - current)));
+                if (previous < 0 && !sunrise) sunrise = crossing;
+                if (previous >= 0) sunset = crossing;
+            }
+            previous = current;
+        }
+        
+        return { sunrise, sunset };
+    }
+
+    function isDarkAt(w) {
+        const [lon, lat] = w.coords;
+        return getSunPosition(w.time, lat, lon).elevation < SUNSET_ELEVATION;
+    }
+
+    // Low sun straight ahead on a clear-ish day
+    const SUN_GLARE_MAX_ELEVATION = 15;
+    const SUN_GLARE_MAX_ANGLE = 20;
+
+    function hasSunGlare(w) {
+        if (typeof w.heading !== 'number' || w.weatherCode > 2) return false;
+        
+        const [lon, lat] = w.coords;
+        const sun = getSunPosition(w.time, lat, lon);
+        if (sun.elevation < 0 || sun.elevation > SUN_GLARE_MAX_ELEVATION) return false;
+        
+        const angle = Math.abs(((sun.azimuth - w.heading) + 540) % 360 - 180);
+        return angle <= SUN_GLARE_MAX_ANGLE;
+    }
+
+    // Split wind into components relative to the direction of travel (km/h)
+    // headwind is negative for a tailwind; gustCrosswind uses gusts when available
+    function getWindComponents(w) {
+        if (typeof w.windDirection !== 'number' || typeof w.heading !== 'number') return null;
+        
+        // Wind direction is where the wind blows from, so 0° means straight into the windshield
+        const angle = (w.windDirection - w.heading) * Math.PI / 180;
+        const gust = typeof w.windGusts === 'number' ? w.windGusts : w.windSpeed;
+        
+        return {
+            headwind: w.windSpeed * Math.cos(angle),
+            crosswind: Math.abs(w.windSpeed * Math.sin(angle)),
+            gustCrosswind: Math.abs(gust * Math.sin(angle))
+        };
+    }
+
+    function exceedsCrosswindLimit(w, limitKmh) {
+        const wind = getWindComponents(w);
+        return wind !== null && wind.gustCrosswind >= limitKmh;
+    }
+
+    // Categorize weather codes into the bad-weather types used for alerts
+    function getWeatherCategory(code) {
+        if (code >= 95) return 'Thunderstorm';
+        if (code >= 85 || (code >= 71 && code <= 77)) {
+            // Heavy snow codes: 75, 77, 86
+            if (code === 75 || code === 77 || code === 86) return 'Heavy snow';
+            return 'Snow';
+        }
+        if (FREEZING_PRECIPITATION_CODES.includes(code)) return 'Freezing rain';
+        if (code >= 61 || (code >= 51 && code <= 57) || (code >= 80 && code <= 82)) {
+            // Heavy rain codes: 65, 67, 82
+            if (code === 65 || code === 67 || code === 82) return 'Heavy rain';
+            return 'Rain';
+        }
+        if (code === 45 || code === 48) return 'Fog';
+        return null;
+    }
+
+    // Each categorizer produces its own alert stream, so a gusty rainstorm reports both
+    // Visibility, wind and rain chance thresholds come from the travel mode settings (see getAlertSettings)
+    const ALERT_CATEGORIZERS = [
+        w => getWeatherCategory(w.weatherCode),
+        (w, mode) => typeof w.visibility === 'number' && w.visibility < mode.visibilityMeters ? 'Low visibility' : null,
+        (w, mode) => typeof w.windGusts === 'number' && w.windGusts >= mode.gustKmh ? 'Strong gusts' : null,
+        (w, mode) => mode.windKmh !== null && typeof w.windSpeed === 'number' && w.windSpeed >= mode.windKmh ? 'Strong wind' : null,
+        // Only flags dry-coded hours; wet weather codes already raise their own alert
+        (w, mode) => mode.rainChance !== null && !getWeatherCategory(w.weatherCode) &&
+            typeof w.precipitationProbability === 'number' && w.precipitationProbability >= mode.rainChance ? 'Rain likely' : null,
+        w => hasIceRisk(w) ? 'Ice risk' : null,
+        w => isDarkAt(w) ? 'Night driving' : null,
+        w => hasSunGlare(w) ? 'Sun glare' : null,
+        (w, mode) => exceedsCrosswindLimit(w, mode.crosswindKmh) ? 'Strong crosswind' : null
+    ];
+
+    // Find bad weather segments along the route for every alert type, ordered along the route
+    // Alert start/end distances are in meters from the start of the route
+    function buildWeatherAlerts(weatherData, totalDistance, mode) {
+        return ALERT_CATEGORIZERS
+            .flatMap(categorize => mergeWeatherAlerts(weatherData, totalDistance, w => categorize(w, mode)))
+            .sort((a, b) => a.startDistance - b.startDistance);
+    }
+
+    // Merge consecutive points with the same category into alerts
+    function mergeWeatherAlerts(weatherData, totalDistance, categorize) {
+        const alerts = [];
+        let currentBadWeather = null;
+        
+        weatherData.forEach((w, index) => {
+            const category = categorize(w);
+            const isBad = category !== null;
+            // Older cached routes don't carry distances, so fall back to spacing points evenly
+            const distanceAtPoint = w.distanceFromStart !== undefined
+                ? Math.min(w.distanceFromStart, totalDistance)
+                : (index / (weatherData.length - 1)) * totalDistance;
+            
+            if (isBad && !currentBadWeather) {
+                // Start of bad weather segment
+                currentBadWeather = {
+                    condition: category,
+                    startDistance: distanceAtPoint,
+                    startTime: w.time
+                };
+            } else if (!isBad && currentBadWeather) {
+                // End of bad weather segment
+                currentBadWeather.endDistance = distanceAtPoint;
+                currentBadWeather.endTime = weatherData[index - 1].time;
+                alerts.push(currentBadWeather);
+                currentBadWeather = null;
+            } else if (isBad && currentBadWeather && category !== currentBadWeather.condition) {
+                // Weather category changed
+                currentBadWeather.endDistance = distanceAtPoint;
+                currentBadWeather.endTime = weatherData[index - 1].time;
+                alerts.push(currentBadWeather);
+                currentBadWeather = {
+                    condition: category,
+                    startDistance: distanceAtPoint,
+                    startTime: w.time
+                };
+            }
+        });
+        
+        // Close final segment if needed
+        if (currentBadWeather) {
+            currentBadWeather.endDistance = totalDistance;
+            currentBadWeather.endTime = weatherData[weatherData.length - 1].time;
+            alerts.push(currentBadWeather);
+        }
+        
+        return alerts;
+    }
+
+    // Saved route fields checked alike by the server and by backup imports in the page
+    // Commute schedules: weekdays 0 (Sunday) to 6 and a local HH:MM departure
+    function isValidSchedule(schedule) {
+        return schedule !== null && typeof schedule === 'object' &&
+            Array.isArray(schedule.days) && schedule.days.length > 0 &&
+            schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+            /^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time);
+    }
+
+    // Last forecast seen for the route, used to show what changed on the next check
+    // Snapshots are shown to everyone sharing the owner id, so only plain strings and numbers are accepted
+    function isValidSnapshot(snapshot) {
+        const isNumberOrNull = value => value === null || Number.isFinite(value);
+
+        return snapshot !== null && typeof snapshot === 'object' &&
+            ['takenAt', 'departure'].every(key => snapshot[key] === undefined || typeof snapshot[key] === 'string') &&
+            Array.isArray(snapshot.alerts) && snapshot.alerts.every(condition => typeof condition === 'string') &&
+            Array.isArray(snapshot.points) && snapshot.points.every(point =>
+                point !== null &&
+                typeof point === 'object' &&
+                Array.isArray(point.coords) && point.coords.length === 2 && point.coords.every(Number.isFinite) &&
+                Number.isFinite(point.distanceFromStart) &&
+                isNumberOrNull(point.temperature) &&
+                isNumberOrNull(point.weatherCode)
+            );
+    }
+
+    return {
+        VEHICLE_CROSSWIND_LIMITS,
+        TRAVEL_MODES,
+        MAX_DIRECTIONS_WAYPOINTS,
+        MAX_TRAFFIC_WAYPOINTS,
+        getDirectionsProfile,
+        getAlertSettings,
+        buildStopDwells,
+        getDistanceMeters,
+        getRouteAnnotation,
+        sampleRoutePoints,
+        getBearing,
+        getPointHeading,
+        SAMPLE_INTERVAL_KM,
+        sampleRoute,
+        buildWeatherRequestPoints,
+        combineRouteWeather,
+        getWeatherDescription,
+        FREEZING_PRECIPITATION_CODES,
+        hasIceRisk,
+        getSunPosition,
+        SUNSET_ELEVATION,
+        getSunTimes,
+        isDarkAt,
+        hasSunGlare,
+        getWindComponents,
+        exceedsCrosswindLimit,
+        getWeatherCategory,
+        ALERT_CATEGORIZERS,
+        buildWeatherAlerts,
+        mergeWeatherAlerts,
+        isValidSchedule,
+        isValidSnapshot
+    };
+});
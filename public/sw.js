@@ -0,0 +1,103 @@
+// Service worker: keeps the app shell and map assets available offline.
+// Weather, routing and saved-route API calls always go to the network, the app
+// falls back to the last route it cached in localStorage when they can't.
+
+// Bump when the shell list changes so old caches are dropped on activate
+const CACHE_NAME = 'route-weather-v2';
+
+const APP_SHELL = [
+    '/',
+    '/route-weather-core.js',
+    '/app.js',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/favicon.ico',
+    '/favicon-16x16.png',
+    '/favicon-32x32.png',
+    '/apple-touch-icon.png',
+    '/android-chrome-192x192.png',
+    '/android-chrome-512x512.png',
+    'https://api.mapbox.com/mapbox-gl-js/v3.0.1/mapbox-gl.css',
+    'https://api.mapbox.com/mapbox-gl-js/v3.0.1/mapbox-gl.js'
+];
+
+// Mapbox requests worth keeping: the GL library, map style, sprites and fonts.
+// Tiles are left to the browser's HTTP cache, they add up quickly.
+const MAPBOX_ASSET_PATTERN = /^https:\/\/api\.mapbox\.com\/(mapbox-gl-js|styles\/v1|fonts\/v1)\//;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Answer from the cache straight away and refresh the copy in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+// Prefer fresh data, but use the last copy when offline
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (url.origin === self.location.origin) {
+        // Config holds the map keys the page needs to start offline
+        if (url.pathname === '/api/config') {
+            event.respondWith(networkFirst(request));
+            return;
+        }
+        
+        // Other API data must be live, the page handles failures itself
+        if (url.pathname.startsWith('/api/')) return;
+        
+        // Shared links carry their route in the query string, serve the shell for any of them
+        if (request.mode === 'navigate') {
+            event.respondWith(staleWhileRevalidate(new Request('/')));
+            return;
+        }
+        
+        event.respondWith(staleWhileRevalidate(request));
+        return;
+    }
+    
+    if (MAPBOX_ASSET_PATTERN.test(request.url)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
@@ -0,0 +1,128 @@
+// Trip forecast from the command line, e.g. for a cron job that emails a morning briefing:
+//   npm run forecast -- "Baltimore, MD" "Boston, MA" --depart "2026-10-20T07:00" [--json]
+// Uses the same pipeline as POST /api/route-weather, so it needs MAPBOX_API_KEY (read from .env).
+const { parseArgs } = require('util');
+require('dotenv').config({ quiet: true });
+const { parseForecastRequest, forecastRoute } = require('../lib/route-weather');
+
+const USAGE = `Usage: npm run forecast -- "<start>" "<end>" [options]
+
+Options:
+  --depart <time>      Departure in this machine's local time, e.g. 2026-10-20T07:00 (default: now)
+  --mode <mode>        driving, driving-traffic, cycling or walking (default: driving)
+  --vehicle <type>     car, suv, motorcycle, box-truck or rv, sets the crosswind limit (default: car)
+  --units <units>      imperial or metric for the text report (default: imperial)
+  --json               Print the full forecast as JSON instead of a text report
+  -h, --help           Show this help`;
+
+const UNITS = {
+    imperial: { metersPerUnit: 1609.344, distance: 'mi', marker: 'mile', temperature: (c) => `${Math.round(c * 9 / 5 + 32)}°F`, speed: (kmh) => `${Math.round(kmh / 1.609344)} mph` },
+    metric: { metersPerUnit: 1000, distance: 'km', marker: 'km', temperature: (c) => `${Math.round(c)}°C`, speed: (kmh) => `${Math.round(kmh)} km/h` }
+};
+
+function formatTime(date) {
+    return new Date(date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+function formatDuration(seconds) {
+    const durationMin = Math.round(seconds / 60);
+    const hours = Math.floor(durationMin / 60);
+    const minutes = durationMin % 60;
+
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function buildTextReport(forecast, units) {
+    const departure = new Date(forecast.departure).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const toUnit = (meters) => Math.round(meters / units.metersPerUnit);
+    const lines = [
+        `${forecast.start.location} to ${forecast.end.location}`,
+        `Departs ${departure} · ${toUnit(forecast.distanceMeters)} ${units.distance} · ${formatDuration(forecast.durationSeconds)} (${forecast.travelMode})`,
+        '',
+        'Segments:'
+    ];
+
+    forecast.segments.forEach(segment => {
+        // Open-Meteo leaves some values null further out, those are left out of the line
+        const { weather } = segment;
+        const has = (key) => typeof weather[key] === 'number';
+        const details = [
+            segment.description,
+            has('temperature') ? `${units.temperature(weather.temperature)}${has('apparentTemperature') ? ` (feels ${units.temperature(weather.apparentTemperature)})` : ''}` : null,
+            has('precipitationProbability') ? `${weather.precipitationProbability}% precip` : null,
+            has('windSpeed') ? `wind ${units.speed(weather.windSpeed)}${has('windGusts') ? `, gusts ${units.speed(weather.windGusts)}` : ''}` : null
+        ].filter(Boolean);
+        const conditions = segment.conditions.length > 0 ? ` [${segment.conditions.join(', ')}]` : '';
+        lines.push(`  ${units.marker} ${toUnit(segment.startDistance)}-${toUnit(segment.endDistance)} (${formatTime(segment.startTime)}): ${details.join(', ')}${conditions}`);
+    });
+
+    lines.push('', 'Alerts:');
+    if (forecast.alerts.length === 0) {
+        lines.push('  Good conditions throughout route');
+    } else {
+        forecast.alerts.forEach(alert => {
+            lines.push(`  ${alert.condition} from ${units.marker} ${toUnit(alert.startDistance)} (${formatTime(alert.startTime)}) to ${units.marker} ${toUnit(alert.endDistance)} (${formatTime(alert.endTime)})`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                depart: { type: 'string' },
+                mode: { type: 'string' },
+                vehicle: { type: 'string' },
+                units: { type: 'string', default: 'imperial' },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 2) {
+        console.error(USAGE);
+        return 1;
+    }
+    if (!Object.hasOwn(UNITS, values.units)) {
+        console.error('--units must be imperial or metric');
+        return 1;
+    }
+
+    const { value, error } = parseForecastRequest({
+        start: positionals[0],
+        end: positionals[1],
+        departure: values.depart,
+        travelMode: values.mode,
+        vehicleType: values.vehicle
+    });
+    if (error) {
+        console.error(error);
+        return 1;
+    }
+
+    try {
+        const forecast = await forecastRoute(value);
+        console.log(values.json ? JSON.stringify(forecast, null, 2) : buildTextReport(forecast, UNITS[values.units]));
+        return 0;
+    } catch (error) {
+        console.error(`Forecast failed: ${error.message}`);
+        return 1;
+    }
+}
+
+main().then(code => {
+    process.exitCode = code;
+});
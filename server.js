@@ -1,12 +1,41 @@
 const express = require('express');
+const fs = require('fs/promises');
 const path = require('path');
 require('dotenv').config();
+const { TRAVEL_MODES: TRAVEL_MODE_SETTINGS, isValidSchedule, isValidSnapshot } = require('./public/route-weather-core');
+const { getWeatherForPoints, parseForecastRequest, forecastRoute } = require('./lib/route-weather');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Official alerts: a GeoJSON feed of CAP alerts (the NWS format), fetched over HTTP or read from a local file
+const ALERTS_FEED_URL = process.env.ALERTS_FEED_URL || 'https://api.weather.gov/alerts/active';
+const ALERTS_CACHE_TTL_MS = 5 * 60 * 1000;
+const ALERTS_USER_AGENT = process.env.ALERTS_USER_AGENT || 'RouteWeatherMap (https://github.com/L14M-M/weather-route-map)';
+let alertsCache = null; // { expires, features }
+const MAX_ALERT_POINTS = 10000; // The page checks about five points per 5km weather sample
+
+// Saved routes live in one JSON file as { version, owners }, where owners maps a user or team identifier to its routes
+const ROUTES_STORE_VERSION = 2;
+const ROUTES_FILE = process.env.ROUTES_FILE || path.join(__dirname, 'data', 'routes.json');
+const OWNER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const RESERVED_OWNER_IDS = ['__proto__', 'constructor', 'prototype']; // Match the pattern but name object internals
+const TRAVEL_MODES = Object.keys(TRAVEL_MODE_SETTINGS);
+
+// Writes queue up behind each other so concurrent saves don't overwrite one another
+let routesStoreQueue = Promise.resolve();
+
 // Serve static files from the public directory
 app.use(express.static('public'));
+app.use(express.json({ limit: '1mb' }));
+
+// Bodies that aren't valid JSON, or are too big, get a JSON error like the rest of the API instead of an HTML page
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+        return res.status(error.status).json({ error: error.type === 'entity.too.large' ? 'Request body is too large' : 'Request body is not valid JSON' });
+    }
+    next(error);
+});
 
 // API endpoint to get configuration
 app.get('/api/config', (req, res) => {
@@ -16,6 +45,332 @@ app.get('/api/config', (req, res) => {
     });
 });
 
+// Longest point list the weather proxy takes, about 10,000km of route at one point every 5km
+const MAX_WEATHER_POINTS = 2000;
+
+// A non-empty list of at most maxPoints { lat, lon, time } points
+function isValidPointList(points, maxPoints) {
+    return Array.isArray(points) && points.length > 0 && points.length <= maxPoints && points.every(point =>
+        point !== null &&
+        typeof point === 'object' &&
+        Number.isFinite(point.lat) &&
+        Number.isFinite(point.lon) &&
+        !isNaN(new Date(point.time).getTime())
+    );
+}
+
+// Weather proxy: accepts all route points at once and returns weather in the same order
+app.post('/api/weather', async (req, res) => {
+    const points = req.body && req.body.points;
+
+    if (!isValidPointList(points, MAX_WEATHER_POINTS)) {
+        return res.status(400).json({ error: `Expected a list of 1 to ${MAX_WEATHER_POINTS} { lat, lon, time } points` });
+    }
+
+    try {
+        const weather = await getWeatherForPoints(points);
+        res.json({ weather });
+    } catch (error) {
+        console.error('Weather lookup failed:', error);
+        res.status(502).json({ error: error.message });
+    }
+});
+
+// Headless route forecast for scripts: geocodes, routes and looks up the weather in one call
+app.post('/api/route-weather', async (req, res) => {
+    const { value, error } = parseForecastRequest(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        res.json(await forecastRoute(value));
+    } catch (error) {
+        console.error('Route forecast failed:', error);
+        res.status(error.status || 502).json({ error: error.message });
+    }
+});
+
+// Version 1 files were the owners map on its own
+// Owners are kept in a prototype-less object so an owner id can never reach Object.prototype
+async function readRoutesStore() {
+    try {
+        const data = JSON.parse(await fs.readFile(ROUTES_FILE, 'utf8'));
+        const owners = Object.assign(Object.create(null), data.version ? data.owners : data);
+        return { version: ROUTES_STORE_VERSION, owners };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { version: ROUTES_STORE_VERSION, owners: Object.create(null) };
+        throw error;
+    }
+}
+
+function getOwnerRoutes(store, ownerId) {
+    return Object.hasOwn(store.owners, ownerId) ? store.owners[ownerId] : [];
+}
+
+// Run a change against the store and write it back; the temp file + rename keeps a crash from leaving half a file
+function updateRoutesStore(change) {
+    const result = routesStoreQueue.then(async () => {
+        const store = await readRoutesStore();
+        const value = change(store);
+
+        await fs.mkdir(path.dirname(ROUTES_FILE), { recursive: true });
+        await fs.writeFile(`${ROUTES_FILE}.tmp`, JSON.stringify(store));
+        await fs.rename(`${ROUTES_FILE}.tmp`, ROUTES_FILE);
+
+        return value;
+    });
+
+    routesStoreQueue = result.catch(() => {});
+    return result;
+}
+
+// Pick the fields we store from a request body, or return an error message
+function parseSavedRoute(body) {
+    if (!body || typeof body !== 'object') return { error: 'Expected a route object' };
+
+    const { name, startAddress, endAddress, stops = [], travelMode = 'driving', distanceMeters, schedule = null, snapshot = null } = body;
+
+    if (![name, startAddress, endAddress].every(value => typeof value === 'string' && value.trim())) {
+        return { error: 'name, startAddress and endAddress are required' };
+    }
+    if (!Array.isArray(stops) || !stops.every(stop => stop && typeof stop.location === 'string')) {
+        return { error: 'stops must be a list of { location, dwellMinutes }' };
+    }
+    if (!TRAVEL_MODES.includes(travelMode)) {
+        return { error: `travelMode must be one of ${TRAVEL_MODES.join(', ')}` };
+    }
+    if (schedule !== null && !isValidSchedule(schedule)) {
+        return { error: 'schedule must be null or { days: [0-6], time: "HH:MM" }' };
+    }
+    if (snapshot !== null && !isValidSnapshot(snapshot)) {
+        return { error: 'snapshot must be null or { takenAt, departure, points: [{ coords, distanceFromStart, temperature, weatherCode }], alerts: [string] }' };
+    }
+
+    return {
+        value: {
+            name: name.trim(),
+            startAddress,
+            endAddress,
+            stops: stops.map(stop => ({ location: stop.location, dwellMinutes: Math.max(0, parseInt(stop.dwellMinutes, 10) || 0) })),
+            travelMode,
+            distanceMeters: Number.isFinite(distanceMeters) ? distanceMeters : null,
+            schedule: schedule && { days: [...new Set(schedule.days)].sort(), time: schedule.time },
+            snapshot
+        }
+    };
+}
+
+// Every /api/routes request is scoped to the owner in the X-Owner-Id header
+function requireOwner(req, res, next) {
+    const ownerId = req.get('X-Owner-Id');
+    if (!ownerId || !OWNER_ID_PATTERN.test(ownerId)) {
+        return res.status(400).json({ error: 'X-Owner-Id header must be 1-64 letters, numbers, dashes or underscores' });
+    }
+    if (RESERVED_OWNER_IDS.includes(ownerId)) {
+        return res.status(400).json({ error: `X-Owner-Id cannot be ${ownerId}` });
+    }
+
+    req.ownerId = ownerId;
+    next();
+}
+
+app.use('/api/routes', requireOwner);
+
+app.get('/api/routes', async (req, res) => {
+    try {
+        const store = await readRoutesStore();
+        res.json({ routes: getOwnerRoutes(store, req.ownerId) });
+    } catch (error) {
+        console.error('Failed to read saved routes:', error);
+        res.status(500).json({ error: 'Failed to read saved routes' });
+    }
+});
+
+app.get('/api/routes/:id', async (req, res) => {
+    try {
+        const store = await readRoutesStore();
+        const route = (getOwnerRoutes(store, req.ownerId)).find(saved => String(saved.id) === req.params.id);
+        if (!route) return res.status(404).json({ error: 'Route not found' });
+
+        res.json({ route });
+    } catch (error) {
+        console.error('Failed to read saved route:', error);
+        res.status(500).json({ error: 'Failed to read saved route' });
+    }
+});
+
+// Clients may send their own numeric id (routes saved offline keep theirs); a taken id is a conflict
+app.post('/api/routes', async (req, res) => {
+    const { value, error } = parseSavedRoute(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const route = await updateRoutesStore(store => {
+            if (!Object.hasOwn(store.owners, req.ownerId)) store.owners[req.ownerId] = [];
+            const routes = store.owners[req.ownerId];
+            const requestedId = req.body.id;
+
+            if (Number.isInteger(requestedId) && routes.some(saved => saved.id === requestedId)) {
+                return null;
+            }
+
+            let id = Number.isInteger(requestedId) ? requestedId : Date.now();
+            while (routes.some(saved => saved.id === id)) id++;
+
+            const saved = { id, ...value, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+            routes.push(saved);
+            return saved;
+        });
+
+        if (!route) return res.status(409).json({ error: 'A route with this id already exists' });
+        res.status(201).json({ route });
+    } catch (storeError) {
+        console.error('Failed to save route:', storeError);
+        res.status(500).json({ error: 'Failed to save route' });
+    }
+});
+
+app.put('/api/routes/:id', async (req, res) => {
+    const { value, error } = parseSavedRoute(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const route = await updateRoutesStore(store => {
+            const routes = getOwnerRoutes(store, req.ownerId);
+            const index = routes.findIndex(saved => String(saved.id) === req.params.id);
+            if (index === -1) return null;
+
+            routes[index] = { ...routes[index], ...value, updatedAt: new Date().toISOString() };
+            return routes[index];
+        });
+
+        if (!route) return res.status(404).json({ error: 'Route not found' });
+        res.json({ route });
+    } catch (storeError) {
+        console.error('Failed to update route:', storeError);
+        res.status(500).json({ error: 'Failed to update route' });
+    }
+});
+
+app.delete('/api/routes/:id', async (req, res) => {
+    try {
+        const deleted = await updateRoutesStore(store => {
+            const routes = getOwnerRoutes(store, req.ownerId);
+            const index = routes.findIndex(saved => String(saved.id) === req.params.id);
+            if (index === -1) return false;
+
+            routes.splice(index, 1);
+            return true;
+        });
+
+        if (!deleted) return res.status(404).json({ error: 'Route not found' });
+        res.status(204).end();
+    } catch (storeError) {
+        console.error('Failed to delete route:', storeError);
+        res.status(500).json({ error: 'Failed to delete route' });
+    }
+});
+
+// Load the alert feed; http(s) URLs are fetched, anything else (file:// or a path) is read from disk
+async function getAlertFeatures() {
+    if (alertsCache && alertsCache.expires > Date.now()) return alertsCache.features;
+
+    let data;
+    if (/^https?:\/\//.test(ALERTS_FEED_URL)) {
+        // NWS rejects requests without a User-Agent identifying the app
+        const response = await fetch(ALERTS_FEED_URL, {
+            headers: { 'User-Agent': ALERTS_USER_AGENT, Accept: 'application/geo+json' }
+        });
+        if (!response.ok) throw new Error(`Alert feed request failed with status ${response.status}`);
+        data = await response.json();
+    } else {
+        const filePath = ALERTS_FEED_URL.replace(/^file:\/\//, '');
+        data = JSON.parse(await fs.readFile(path.resolve(__dirname, filePath), 'utf8'));
+    }
+
+    // Zone-only alerts come without a geometry and can't be intersected; without properties there is nothing to show
+    const features = (data.features || []).filter(feature =>
+        feature && feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type) &&
+        feature.properties && typeof feature.properties === 'object'
+    );
+
+    alertsCache = { expires: Date.now() + ALERTS_CACHE_TTL_MS, features };
+    return features;
+}
+
+// Ray casting against the outer ring, then make sure the point isn't in a hole
+function isPointInRing([lon, lat], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lonI, latI] = ring[i];
+        const [lonJ, latJ] = ring[j];
+        if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function isPointInGeometry(point, geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.some(([outer, ...holes]) =>
+        isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole))
+    );
+}
+
+// Alerts apply from onset (or effective) until ends (or expires); missing bounds are open-ended
+function isAlertActiveAt(properties, time) {
+    const start = new Date(properties.onset || properties.effective || 0).getTime();
+    const endValue = properties.ends || properties.expires;
+    const end = endValue ? new Date(endValue).getTime() : Infinity;
+    return time >= start && time <= end;
+}
+
+// Official alerts whose area we are inside while the alert is in effect
+// Points are the route in travel order; the result says where along them each alert applies
+app.post('/api/alerts', async (req, res) => {
+    const points = req.body && req.body.points;
+
+    if (!isValidPointList(points, MAX_ALERT_POINTS)) {
+        return res.status(400).json({ error: `Expected a list of 1 to ${MAX_ALERT_POINTS} { lat, lon, time } points` });
+    }
+
+    try {
+        const features = await getAlertFeatures();
+        const route = points.map(point => ({ coords: [point.lon, point.lat], time: new Date(point.time).getTime() }));
+
+        const alerts = features.flatMap(feature => {
+            const matches = [];
+            route.forEach((point, index) => {
+                if (isAlertActiveAt(feature.properties, point.time) && isPointInGeometry(point.coords, feature.geometry)) {
+                    matches.push(index);
+                }
+            });
+            if (matches.length === 0) return [];
+
+            const { id, event, headline, severity, description, instruction, areaDesc, onset, effective, ends, expires } = feature.properties;
+            return [{
+                id: id || feature.id,
+                event,
+                headline,
+                severity: severity || 'Unknown',
+                description,
+                instruction,
+                areaDesc,
+                onset: onset || effective,
+                ends: ends || expires,
+                firstPointIndex: matches[0],
+                lastPointIndex: matches[matches.length - 1],
+                geometry: feature.geometry
+            }];
+        });
+
+        res.json({ alerts });
+    } catch (error) {
+        console.error('Alert lookup failed:', error);
+        res.status(502).json({ error: error.message });
+    }
+});
+
 // Main route
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));